@@ -0,0 +1,124 @@
+const { MAX_ANSWER_LENGTH } = require('./validation');
+const { shuffle } = require('./random');
+
+// How bots write. `style` goes into the LLM prompt; `fallbacks` are used when the model is
+// unreachable or replies with something unusable.
+const BOT_PERSONALITIES = {
+  punny: {
+    label: 'Punny',
+    names: ['Punny Pete', 'Pun Kim', 'Wordplay Wes'],
+    style: 'Answer with a pun or a play on words.',
+    fallbacks: ['Taking it one pun at a time', 'A total cat-astrophe', 'Simply egg-cellent', 'Un-brie-lievable cheese', 'Too tired to be wheel'],
+  },
+  literal: {
+    label: 'Literal',
+    names: ['Literal Lou', 'Plain Jane', 'Serious Sam'],
+    style: 'Answer completely literally and seriously, as if you did not notice it was a joke.',
+    fallbacks: ['A normal one, I suppose', 'Whatever the rules allow', 'Something sensible and safe', 'The usual kind', 'It depends on the weather'],
+  },
+  absurd: {
+    label: 'Absurd',
+    names: ['Absurd Abe', 'Weird Wendy', 'Cosmic Carl'],
+    style: 'Answer with something surreal and absurd that nobody would expect.',
+    fallbacks: ['A trombone full of soup', 'Seven ducks in a trench coat', 'The moon, but damp', 'A haunted spoon', 'Socks made of spaghetti'],
+  },
+  learner: {
+    label: 'Learner',
+    names: ['Learner Leo', 'Student Sofi', 'Newbie Nina'],
+    style: 'Answer like an English learner: simple words and one or two typical mistakes ' +
+      '(a missing article, a wrong verb tense or a wrong preposition).',
+    fallbacks: ['I am go to the beach', 'Is very funny for me', 'My dog eated it', 'I like it since three years', 'Is depend of the people'],
+  },
+};
+
+const BOT_PERSONALITY_IDS = Object.keys(BOT_PERSONALITIES);
+
+// Bots act after a random share of the phase, like people do: answers take a while, votes less
+const ANSWER_DELAY = { min: 0.15, max: 0.6 };
+const VOTE_DELAY = { min: 0.15, max: 0.5 };
+const MAX_BOT_ANSWER_LENGTH = 60;
+
+// The personality least used by `bots` (ties broken at random), so a table of bots is varied
+function pickPersonality(bots = []) {
+  const counts = BOT_PERSONALITY_IDS.map((id) => bots.filter((b) => b.personality === id).length);
+  const fewest = Math.min(...counts);
+  const options = BOT_PERSONALITY_IDS.filter((id, i) => counts[i] === fewest);
+  return options[Math.floor(Math.random() * options.length)];
+}
+
+// A display name for a bot that `isTaken(name)` doesn't reject
+function pickBotName(personality, isTaken, number) {
+  const names = BOT_PERSONALITIES[personality].names;
+  return names.find((name) => !isTaken(name)) || `${BOT_PERSONALITIES[personality].label} Bot ${number}`;
+}
+
+// Milliseconds a bot waits before acting in a phase lasting `phaseSeconds`
+function botDelay(kind, phaseSeconds, scale = 1) {
+  const { min, max } = kind === 'vote' ? VOTE_DELAY : ANSWER_DELAY;
+  return Math.round(phaseSeconds * 1000 * (min + Math.random() * (max - min)) * scale);
+}
+
+async function generateBotAnswer(llm, personality, promptText, cefrLevel = 'B1') {
+  const persona = BOT_PERSONALITIES[personality] || BOT_PERSONALITIES.absurd;
+  try {
+    const reply = await llm.generate(
+      `You are playing a party game where players fill in the blank in a funny way.
+Prompt: "${promptText}"
+${persona.style} Use vocabulary for CEFR level ${cefrLevel}. Keep it under ${MAX_BOT_ANSWER_LENGTH} characters.
+Reply with the answer only, no quotes or explanation.`,
+      { task: 'answer' }
+    );
+    const answer = cleanAnswer(reply);
+    if (answer) return answer;
+  } catch (err) {
+    console.error('Failed to generate bot answer:', err.message);
+  }
+  return persona.fallbacks[Math.floor(Math.random() * persona.fallbacks.length)];
+}
+
+/**
+ * Ask the LLM which of `options` ([{ id, answer }]) is funniest and return up to `picks` ids,
+ * best first. Falls back to a random order when the model can't be reached or doesn't answer
+ * with usable numbers.
+ */
+async function judgeAnswers(llm, personality, promptText, options, picks = 1) {
+  if (options.length <= 1) return options.map((o) => o.id).slice(0, picks);
+
+  const persona = BOT_PERSONALITIES[personality] || BOT_PERSONALITIES.absurd;
+  const list = options.map((o, i) => `${i + 1}. ${o.answer}`).join('\n');
+  try {
+    const reply = await llm.generate(
+      `You are judging a party game. Prompt: "${promptText}"
+Answers:
+${list}
+Which ${picks > 1 ? `${picks} answers are` : 'answer is'} the funniest? Your taste: ${persona.style}
+Reply with ${picks > 1 ? `${picks} numbers, best first, separated by commas` : 'one number'} and nothing else.`,
+      { task: 'vote', temperature: 0.7 }
+    );
+    const ranked = [...new Set((String(reply).match(/\d+/g) || []).map(Number))]
+      .filter((n) => n >= 1 && n <= options.length)
+      .map((n) => options[n - 1].id);
+    if (ranked.length > 0) return ranked.slice(0, picks);
+  } catch (err) {
+    console.error('Bot judging failed:', err.message);
+  }
+  return shuffle(options.map((o) => o.id)).slice(0, picks);
+}
+
+module.exports = {
+  BOT_PERSONALITIES,
+  BOT_PERSONALITY_IDS,
+  pickPersonality,
+  pickBotName,
+  botDelay,
+  generateBotAnswer,
+  judgeAnswers,
+};
+
+// First line of the model's reply without quotes or a leading "Answer:"
+function cleanAnswer(reply) {
+  const line = String(reply || '').split('\n').map((l) => l.trim()).find(Boolean) || '';
+  const unquote = (text) => text.replace(/^["'“]+|["'”]+$/g, '').trim();
+  const answer = unquote(unquote(line).replace(/^answer:\s*/i, ''));
+  return answer.length > 0 && answer.length <= MAX_ANSWER_LENGTH ? answer : null;
+}
@@ -0,0 +1,82 @@
+const cefrRules = require('../data/cefrRules.json');
+
+/**
+ * CEFR definition rules for the vocabulary match, from data/cefrRules.json. These are the
+ * checks `validateDefinition` in src/cefr.ts makes for the single-player game, so both games
+ * accept the same definitions; keep the two in step.
+ */
+
+// Dictionary-style content forbidden at every level
+const FORBIDDEN_PATTERNS = cefrRules.forbidden_patterns.map(({ pattern, problem }) => [new RegExp(pattern, 'i'), problem]);
+
+function getLevelRules(level) {
+  return (cefrRules.levels[level] || cefrRules.levels.B1).definition_rules;
+}
+
+// True if `text` uses `word` (or an inflection of it, e.g. "followed up" for "follow up")
+function mentionsWord(text, word) {
+  const tokens = wordsOf(text.toLowerCase());
+  return word.toLowerCase().split(/\s+/).filter(Boolean).every((part) => {
+    const stem = part.length > 4 ? part.slice(0, part.length - 2) : part;
+    // Allow endings like -s, -ed, -ing, but don't count "category" as using "cat"
+    return tokens.some((token) => token.startsWith(stem) && token.length <= part.length + 3);
+  });
+}
+
+/**
+ * Problems with `entry` ({ definition, example }) as a definition of `word` at `level`, as
+ * short phrases that can be fed back to the model. An empty list means it follows the rules.
+ */
+function validateDefinition(entry, word, level) {
+  const rules = getLevelRules(level);
+  const problems = [];
+  const definitionSentences = splitSentences(entry.definition);
+  const exampleSentences = splitSentences(entry.example);
+
+  if (definitionSentences.length === 0) problems.push('the definition is missing');
+  if (exampleSentences.length === 0) problems.push('the example is missing');
+  if (definitionSentences.length > rules.max_definition_sentences) {
+    problems.push(`the definition must be at most ${rules.max_definition_sentences} sentence(s)`);
+  }
+  if (exampleSentences.length > 1) problems.push('the example must be one sentence');
+
+  [...definitionSentences, ...exampleSentences].forEach((sentence) => {
+    if (wordsOf(sentence).length > rules.max_sentence_length) {
+      problems.push(`"${sentence}" is longer than ${rules.max_sentence_length} words`);
+    }
+  });
+
+  // The word itself may be long; everything around it has to fit the level
+  const longWords = wordsOf(`${entry.definition} ${entry.example}`)
+    .filter((w) => w.length > rules.max_word_length && !mentionsWord(w, word));
+  if (longWords.length > 0) {
+    problems.push(`these words are too hard for ${level}: ${[...new Set(longWords)].join(', ')}`);
+  }
+
+  // Players match words to definitions, so the definition must not give the word away
+  if (definitionSentences.length > 0 && mentionsWord(entry.definition, word)) {
+    problems.push('the definition uses the word itself');
+  }
+  if (exampleSentences.length > 0 && !mentionsWord(entry.example, word)) {
+    problems.push('the example does not use the word');
+  }
+
+  FORBIDDEN_PATTERNS.forEach(([pattern, problem]) => {
+    if (pattern.test(`${entry.definition} ${entry.example}`)) problems.push(problem);
+  });
+  return problems;
+}
+
+module.exports = {
+  getLevelRules,
+  mentionsWord,
+  validateDefinition,
+};
+
+function wordsOf(sentence) {
+  return sentence.split(/\s+/).map((w) => w.replace(/[^\p{L}'-]/gu, '')).filter(Boolean);
+}
+
+function splitSentences(text) {
+  return text.split(/(?<=[.!?])\s+/).map((s) => s.trim()).filter(Boolean);
+}
@@ -1,18 +1,194 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const http = require('http');
+const { createLLMProvider } = require('./llmProvider');
+const { loadPromptPacks, selectPackPrompts } = require('./promptPacks');
+const { ERROR_CODES, ValidationError } = require('./validation');
+const { AnswerModerator } = require('./moderation');
+const { generateRoomCode } = require('./roomCodes');
+const { DEFAULT_SCORING, getScoringRules, getRoundPoints, getSpeedBonus } = require('./scoringRules');
+const { pickPersonality, pickBotName, botDelay, generateBotAnswer, judgeAnswers } = require('./bots');
+const { shuffle } = require('./random');
+
+// How long (seconds) match results and round scores stay on screen before the game moves on.
+const RESULTS_DISPLAY_TIME = 5;
+
+// Sudden-death rounds played before a persisting tie is accepted as a shared win.
+const MAX_TIEBREAKER_ROUNDS = 3;
+
+// After a restart, a restored phase gets at least this long so people have time to reconnect.
+const RESTORE_GRACE_TIME = 15;
+
+// Medals each voter hands out in the final round
+const MEDALS_PER_VOTER = 3;
+
+// Seats for answering players; everyone past the cap joins the audience.
+const MAX_PLAYERS = 8;
+
+// Teams mode (settings.teamCount): the first `teamCount` of these are used.
+const TEAMS = [
+  { name: 'Red Team', color: '#e74c3c' },
+  { name: 'Blue Team', color: '#3498db' },
+  { name: 'Green Team', color: '#2ecc71' },
+  { name: 'Yellow Team', color: '#f1c40f' },
+];
+
+// How long (seconds) the host has to review flagged answers before they are hidden automatically.
+const MODERATION_REVIEW_TIME = 30;
+const HIDDEN_ANSWER_TEXT = '[answer hidden by host]';
+
+// Room lifecycle defaults (GameManager options override them)
+const MAX_ROOMS = 100;
+const IDLE_ROOM_TTL = 60 * 60 * 1000; // ms without any activity before a room is closed
+const FINISHED_ROOM_TTL = 15 * 60 * 1000; // ms a finished game stays around for its recap
+const CLEANUP_INTERVAL = 60 * 1000;
+
+// Snapshots are written at most this often per room (ms); every change in between goes in the same write
+const SAVE_DELAY = 250;
+
+// Host transfer: a short one-time code the new host device enters (or opens as a link)
+const HOST_TRANSFER_TTL = 5 * 60 * 1000;
+const TRANSFER_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TRANSFER_CODE_LENGTH = 6;
+
+// Ask the LLM for more prompts once fewer fresh ones are left than this many rounds need
+const PROMPT_RESERVE_ROUNDS = 2;
+
+// Voting mode strategies for the regular rounds (the final round is always a shared-prompt medal vote).
+// Each mode decides how prompts are handed out, how answers are grouped into matches and how the
+// round pot (see scoringRules.js) is scaled: `potMultiplier(answerCount)` scales the pot for one match and
+// `winnerBonusShare` is the fraction of the Quiplash bonus paid to an outright (non-unanimous) winner.
+const VOTING_MODES = {
+  // Battle Royale: everyone answers one shared prompt, then picks a favourite among all answers
+  individual: {
+    assignPrompts: (game) => game.assignSharedPrompt(),
+    createMatches: (game) => game.createBattleRoyaleVoting(),
+    potMultiplier: (answerCount) => Math.max(1, answerCount / 2),
+    winnerBonusShare: 0.5,
+  },
+  // Pairs: every prompt goes to two players who go head-to-head
+  pairs: {
+    assignPrompts: (game) => game.assignPairPrompts(),
+    createMatches: (game) => game.createAnswerPairs(),
+    potMultiplier: () => 1,
+    winnerBonusShare: 0,
+  },
+  // Thriples: groups of three share a prompt and compete three-way
+  thriples: {
+    assignPrompts: (game) => game.assignGroupPrompts(3),
+    createMatches: (game) => game.createThriplesVoting(),
+    potMultiplier: () => 1.5,
+    winnerBonusShare: 0.5,
+  },
+};
+
+// Which timer drives each game state. Used to find the "current phase" for host timer controls.
+const PHASE_TIMERS = {
+  answering: 'answer',
+  'tiebreaker-answering': 'answer',
+  voting: 'vote',
+  results: 'results',
+  'round-results': 'round-results',
+  intermission: 'intermission',
+  tiebreaker: 'tiebreaker',
+  moderation: 'moderation',
+};
 
 class GameManager {
-  constructor() {
+  constructor(options = {}) {
     this.games = new Map(); // roomCode -> Game instance
     this.playerSocketMap = new Map(); // socketId -> { roomCode, playerId }
+    // Shared LLM provider for games that don't configure their own (env-configured by default)
+    this.llm = options.llm || createLLMProvider();
+    this.promptPacks = options.promptPacks || loadPromptPacks(); // packId -> pack
+    this.moderator = options.moderator || new AnswerModerator();
+    // Optional snapshot store (see gameStore.js); without one, games live in memory only
+    this.store = options.store || null;
+    this.pendingSaves = new Map(); // roomCode -> timeout of the write waiting to happen
+    // Optional history store (see historyStore.js) that receives a transcript of every finished game
+    this.history = options.history || null;
+
+    // Room lifecycle: capacity, expiry, and a callback so the server can tell clients a room closed
+    this.maxRooms = options.maxRooms || MAX_ROOMS;
+    this.idleRoomTtl = options.idleRoomTtl || IDLE_ROOM_TTL;
+    this.finishedRoomTtl = options.finishedRoomTtl || FINISHED_ROOM_TTL;
+    this.onRoomClosed = options.onRoomClosed || null; // (roomCode, reason) => void
+    this.cleanupInterval = null;
   }
 
+  // Returns the new room code, or null when the server is at its room limit
   createGame(gameName, hostSocketId, hostName, settings = {}, emitFunction = null, debugMode = false) {
-    const roomCode = this.generateRoomCode();
-    this.games.set(roomCode, new Game(roomCode, gameName, hostSocketId, hostName, settings, emitFunction, debugMode));
+    if (this.games.size >= this.maxRooms) {
+      this.cleanupExpiredGames();
+    }
+    const roomCode = this.games.size < this.maxRooms ? this.generateRoomCode() : null;
+    if (!roomCode) return null;
+
+    const GameClass = gameClassFor(settings);
+    const game = new GameClass(roomCode, gameName, hostSocketId, hostName, settings, emitFunction, debugMode);
+    this.attachGame(game);
+    game.persist();
     return roomCode;
   }
 
+  attachGame(game) {
+    game.llm = game.settings.llm ? createLLMProvider(game.settings.llm) : this.llm;
+    game.promptPacks = this.promptPacks;
+    game.moderator = this.moderator;
+    if (this.store) {
+      game.onChange = (changed) => this.scheduleSave(changed);
+    }
+    if (this.history) {
+      game.onFinish = (finished) => this.history.save(finished.toHistoryRecord());
+    }
+    this.games.set(game.roomCode, game);
+  }
+
+  /**
+   * Rehydrate every saved game after a restart. `createEmitter(roomCode)` must return the
+   * same kind of emit function passed to createGame. Hosts and players get back in through
+   * `host-reconnect` / `join-game`.
+   */
+  restoreGames(createEmitter) {
+    if (!this.store) return 0;
+
+    let restored = 0;
+    this.store.loadAll().forEach((snapshot) => {
+      if (snapshot.state === 'finished' || this.games.has(snapshot.roomCode)) {
+        this.store.remove(snapshot.roomCode);
+        return;
+      }
+      try {
+        const game = gameClassFor(snapshot.settings).fromSnapshot(snapshot, createEmitter(snapshot.roomCode));
+        this.attachGame(game);
+        game.resumeTimerFromSnapshot(snapshot.timer);
+        game.resumeBots();
+        restored++;
+      } catch (err) {
+        console.error(`Failed to restore game ${snapshot.roomCode}:`, err);
+      }
+    });
+    return restored;
+  }
+
+  // Every answer and vote changes a game, so saves are batched instead of writing each one
+  scheduleSave(game) {
+    if (this.pendingSaves.has(game.roomCode)) return;
+    this.pendingSaves.set(game.roomCode, setTimeout(() => {
+      this.pendingSaves.delete(game.roomCode);
+      this.store.save(game.toSnapshot());
+    }, SAVE_DELAY));
+  }
+
+  // Writes every batched save now, e.g. before shutting down
+  flushSaves() {
+    this.pendingSaves.forEach((timer, roomCode) => {
+      clearTimeout(timer);
+      const game = this.games.get(roomCode);
+      if (game) this.store.save(game.toSnapshot());
+    });
+    this.pendingSaves.clear();
+  }
+
   getPlayerInfo(socketId) {
     return this.playerSocketMap.get(socketId) || null;
   }
@@ -25,59 +201,171 @@ class GameManager {
     const game = this.games.get(roomCode);
     if (!game) return null;
 
-    // If a player with this name is already in the game but disconnected,
-    // treat this as a reconnection: reuse the same player slot.
-    const existing = game.getPlayerByName(playerName);
-    let player;
-    if (existing && !existing.isConnected) {
-      existing.socketId = socketId;
-      existing.isConnected = true;
-      player = existing;
-    } else {
-      player = game.addPlayer(playerName, socketId, isHost);
-    }
+    const player = game.addPlayer(playerName, socketId, isHost);
+    this.playerSocketMap.set(socketId, { roomCode, playerId: player.id });
 
+    return player;
+  }
+
+  // Move an existing player slot to a new socket. Callers must have verified the player's session token.
+  reconnectPlayer(roomCode, playerId, socketId) {
+    const game = this.games.get(roomCode);
+    const player = game && (game.getPlayer(playerId) || game.getAudienceMember(playerId));
+    if (!player) return null;
+
+    if (player.socketId && player.socketId !== socketId) {
+      this.playerSocketMap.delete(player.socketId);
+    }
+    player.socketId = socketId;
+    player.isConnected = true;
     this.playerSocketMap.set(socketId, { roomCode, playerId: player.id });
+    game.touch();
 
     return player;
   }
 
+  addAudienceMember(roomCode, name, socketId) {
+    const game = this.games.get(roomCode);
+    if (!game) return null;
+
+    const member = game.addAudienceMember(name, socketId);
+    this.playerSocketMap.set(socketId, { roomCode, playerId: member.id });
+
+    return member;
+  }
+
   handleDisconnect(socketId) {
     const playerInfo = this.playerSocketMap.get(socketId);
     if (!playerInfo) return;
 
     const game = this.games.get(playerInfo.roomCode);
     if (game) {
-      const player = game.getPlayer(playerInfo.playerId);
+      const player = game.getPlayer(playerInfo.playerId) || game.getAudienceMember(playerInfo.playerId);
       if (player) {
         player.isConnected = false;
       }
+      game.touch();
       // IMPORTANT: Do NOT delete the game or remove the player record here.
-      // This allows players to reconnect (same name) and reclaim their slot.
+      // This allows players to reconnect with their session token and reclaim their slot.
     }
 
     this.playerSocketMap.delete(socketId);
   }
 
+  // Remove a player or audience member for good. Returns the removed member (its socket
+  // still has to be told and taken out of the room) or null.
+  kickPlayer(roomCode, playerId) {
+    const game = this.games.get(roomCode);
+    const member = game && (game.getPlayer(playerId) || game.getAudienceMember(playerId));
+    if (!member) return null;
+
+    if (member.isAudience) {
+      game.removeAudienceMember(playerId);
+    } else {
+      game.removePlayer(playerId);
+    }
+    if (member.socketId) {
+      this.playerSocketMap.delete(member.socketId);
+    }
+    return member;
+  }
+
   generateRoomCode() {
-    const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    let code = '';
-    for (let i = 0; i < 4; i++) {
-      code += letters[Math.floor(Math.random() * letters.length)];
+    return generateRoomCode((code) => this.games.has(code));
+  }
+
+  /**
+   * Close a room for good: stop its timers, forget its sockets and its saved snapshot.
+   * `reason` ('finished', 'idle', ...) is passed on to `onRoomClosed` for the clients.
+   */
+  removeGame(roomCode, reason = 'closed') {
+    const game = this.games.get(roomCode);
+    if (!game) return false;
+
+    game.clearAllTimers();
+    game.onChange = null;
+    this.playerSocketMap.forEach((info, socketId) => {
+      if (info.roomCode === roomCode) {
+        this.playerSocketMap.delete(socketId);
+      }
+    });
+    this.games.delete(roomCode);
+    clearTimeout(this.pendingSaves.get(roomCode));
+    this.pendingSaves.delete(roomCode);
+    if (this.store) {
+      this.store.remove(roomCode);
+    }
+    if (this.onRoomClosed) {
+      this.onRoomClosed(roomCode, reason);
+    }
+    return true;
+  }
+
+  // Why a room should be closed now, or null to keep it
+  getExpiryReason(game, now = Date.now()) {
+    if (game.state === 'finished') {
+      return now - (game.finishedAt || game.lastActivityAt) >= this.finishedRoomTtl ? 'finished' : null;
     }
-    return code;
+    return now - game.lastActivityAt >= this.idleRoomTtl ? 'idle' : null;
+  }
+
+  // Returns the number of rooms closed
+  cleanupExpiredGames(now = Date.now()) {
+    let removed = 0;
+    Array.from(this.games.values()).forEach((game) => {
+      const reason = this.getExpiryReason(game, now);
+      if (reason && this.removeGame(game.roomCode, reason)) {
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  startCleanup(interval = CLEANUP_INTERVAL) {
+    this.stopCleanup();
+    this.cleanupInterval = setInterval(() => this.cleanupExpiredGames(), interval);
+    // Never keep the process alive just for the sweeper
+    this.cleanupInterval.unref();
+  }
+
+  stopCleanup() {
+    clearInterval(this.cleanupInterval);
+    this.cleanupInterval = null;
+  }
+
+  // Overview for the admin route
+  listRooms(now = Date.now()) {
+    return Array.from(this.games.values()).map((game) => ({
+      roomCode: game.roomCode,
+      name: game.name,
+      state: game.state,
+      round: game.round,
+      players: game.players.length,
+      connectedPlayers: game.players.filter((p) => p.isConnected && !p.isBot).length,
+      audience: game.audience.length,
+      createdAt: game.createdAt,
+      lastActivityAt: game.lastActivityAt,
+      ageSeconds: Math.round((now - game.createdAt) / 1000),
+      idleSeconds: Math.round((now - game.lastActivityAt) / 1000),
+    }));
   }
 }
 
 class Game {
   constructor(roomCode, name, hostSocketId, hostName, settings = {}, emitFunction = null, debugMode = false) {
     this.id = uuidv4();
+    this.playthrough = 1; // counts "play again" restarts; each playthrough gets its own history record
     this.roomCode = roomCode;
     this.name = name;
+    this.createdAt = Date.now();
+    this.lastActivityAt = this.createdAt; // bumped on every state change and (re)connect
 
     // Host metadata only (host does not play)
     this.hostSocketId = hostSocketId;
     this.hostName = hostName;
+    this.hostTokenVersion = 0; // bumped on host transfer so older host tokens stop working
+    this.hostTransfer = null; // { code, expiresAt } while a transfer is on offer (never saved)
+    this.locked = false; // locked rooms only let existing players reconnect
 
     // Configurable game settings
     this.settings = {
@@ -87,29 +375,68 @@ class Game {
       intermissionTime: settings.intermissionTime || 10, // seconds
       gameMode: settings.gameMode || 'classic', // classic, speed, creative
       votingMode: settings.votingMode || 'individual', // individual, pairs
+      ageGroup: settings.ageGroup || 'adults', // kids, teens, adults: which moderation word lists apply
+      scoring: settings.scoring || DEFAULT_SCORING, // ruleset name from scoringRules.js
       ...settings
     };
+    // Family mode: strictest word lists, G-rated prompts and LLM screening of every answer
+    if (this.settings.familyMode) {
+      Object.assign(this.settings, { ageGroup: 'kids', maxRating: 'G', llmModeration: true });
+    }
 
     this.players = [];
+    // Teams mode: players carry a teamId and every point they score also goes to their team
+    this.teams = TEAMS.slice(0, this.settings.teamCount >= 2 ? this.settings.teamCount : 0)
+      .map((team, i) => ({ id: `team-${i + 1}`, ...team, score: 0 }));
+    this.audience = []; // spectators: they vote for the audience bonus but never answer
     this.hostId = null; // kept for compatibility but unused for gameplay
-    this.state = 'waiting'; // waiting, answering, intermission, voting, results
+    this.state = 'waiting'; // waiting, answering, voting, results, round-results, intermission, tiebreaker-answering, tiebreaker, moderation, finished
     this.round = 0;
 
     this.emit = emitFunction;
     this.debugMode = debugMode;
+    this.llm = null; // set by GameManager.createGame
+    this.promptPacks = new Map(); // set by GameManager.createGame
+    this.moderator = null; // set by GameManager.createGame
+    this.onChange = null; // called with the game after every state change (persistence)
+    this.onFinish = null; // called with the game once it is over (history)
     this.botsCount = 0;
+    this.botDelayScale = 1; // multiplies bot "thinking" delays; 0 makes bots act at once (tests)
 
     // Game data
     // Prompts are lazily loaded from the local AI model on first game start.
     this.prompts = [];
     this.currentPrompts = [];
+    this.answerPhaseStartedAt = null; // for speed bonuses
     this.answers = new Map(); // playerId -> Map(promptId -> { promptId, answer, timestamp })
     this.votes = new Map(); // playerId -> voteId (or array of voteIds for R3)
+    this.audienceVotes = new Map(); // audienceId -> voteId (or array), current match only
     this.votingMatches = [];
     this.currentMatchIndex = 0;
+    this.usedPromptIds = new Set(); // prompt ids used in this game; a game never repeats a prompt
+    this.roomPromptHistory = new Set(); // prompt texts (lowercased) seen in this room, kept across play-again
+    this.promptTopUp = null; // in-flight LLM top-up, see topUpPrompts
+
+    // Sudden-death tiebreaker (only after the final round ends with a tie for first)
+    this.tiebreakerPlayers = []; // tied playerIds answering the tiebreaker prompt
+    this.tiebreakerVoters = []; // playerIds allowed to vote
+    this.tiebreakerAnswers = [];
+    this.tiebreakerRounds = 0;
+
+    // History: kept for the transcript written when the game ends
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.matchLog = []; // one entry per decided match, see recordMatch
+    this.roundScores = []; // [{ round, scores }] after each round
+
+    // Answer moderation
+    this.pendingModeration = []; // in-flight LLM checks, awaited before answers are shown
+    this.moderationWait = null; // promise for the checks a phase change is waiting on
+    this.review = null; // { next: 'match' | 'tiebreaker', answers: [{ playerId, promptId }] } while the host reviews
 
     // Timers
     this.timers = new Map();
+    this.botTimers = new Set(); // pending delayed bot answers and votes
   }
 
   addPlayer(name, socketId, isHost = false, isBot = false) {
@@ -121,16 +448,157 @@ class Game {
       isConnected: true,
       isBot,
     };
+    if (this.isTeamMode()) {
+      player.teamId = this.getSmallestTeam().id;
+    }
 
     this.players.push(player);
+    this.persist();
     return player;
   }
 
+  addAudienceMember(name, socketId) {
+    const member = {
+      id: uuidv4(),
+      name,
+      socketId,
+      isConnected: true,
+      isAudience: true,
+    };
+
+    this.audience.push(member);
+    this.persist();
+    return member;
+  }
+
+  removeAudienceMember(audienceId) {
+    this.audience = this.audience.filter((m) => m.id !== audienceId);
+    this.audienceVotes.delete(audienceId);
+    this.persist();
+  }
+
+  getAudienceMember(audienceId) {
+    return this.audience.find((m) => m.id === audienceId);
+  }
+
+  isAudience(id) {
+    return this.audience.some((m) => m.id === id);
+  }
+
+  isFull() {
+    return this.players.length >= MAX_PLAYERS;
+  }
+
+  // Names must be unique across players and audience
+  isNameTaken(name) {
+    return !!this.getPlayerByName(name) || this.audience.some((m) => m.name === name);
+  }
+
+  isTeamMode() {
+    return this.teams.length > 0;
+  }
+
+  getTeam(teamId) {
+    return this.teams.find((t) => t.id === teamId);
+  }
+
+  getTeamMembers(teamId) {
+    return this.players.filter((p) => p.teamId === teamId);
+  }
+
+  getSmallestTeam() {
+    return this.teams.reduce((smallest, team) =>
+      (this.getTeamMembers(team.id).length < this.getTeamMembers(smallest.id).length ? team : smallest));
+  }
+
+  // Players pick their own team in the waiting room
+  setPlayerTeam(playerId, teamId) {
+    const player = this.getPlayer(playerId);
+    if (!player) return ERROR_CODES.NOT_YOUR_PLAYER;
+    if (!this.getTeam(teamId)) return ERROR_CODES.INVALID_TEAM;
+
+    player.teamId = teamId;
+    this.persist();
+    return null;
+  }
+
+  // Move the most recent joiners out of the biggest teams until sizes differ by at most one
+  balanceTeams() {
+    if (!this.isTeamMode()) return;
+    const sizes = () => this.teams.map((t) => this.getTeamMembers(t.id).length);
+    while (Math.max(...sizes()) - Math.min(...sizes()) > 1) {
+      const largest = this.teams[sizes().indexOf(Math.max(...sizes()))];
+      const members = this.getTeamMembers(largest.id);
+      members[members.length - 1].teamId = this.getSmallestTeam().id;
+    }
+    this.persist();
+  }
+
+  areTeammates(playerIdA, playerIdB) {
+    const a = this.getPlayer(playerIdA);
+    const b = this.getPlayer(playerIdB);
+    return !!a && !!b && !!a.teamId && a.teamId === b.teamId;
+  }
+
+  // Every point a player scores also counts for their team
+  awardPoints(player, points) {
+    player.score += points;
+    const team = this.getTeam(player.teamId);
+    if (team) {
+      team.score += points;
+    }
+  }
+
+  getTeamStandings() {
+    return this.teams
+      .map((team) => ({
+        ...team,
+        members: this.getTeamMembers(team.id).map((p) => ({ id: p.id, name: p.name, score: p.score })),
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Order players so neighbours are on different teams wherever the team sizes allow it:
+   * repeatedly take a player from the largest remaining team that isn't the previous one.
+   * Pair and group prompts are dealt to neighbours, so this keeps teammates apart.
+   */
+  orderByTeams(players) {
+    if (!this.isTeamMode()) return players;
+    const buckets = this.teams
+      .map((team) => players.filter((p) => p.teamId === team.id))
+      .filter((bucket) => bucket.length > 0);
+    const ordered = [];
+    let previousTeam = null;
+    while (ordered.length < players.length) {
+      const candidates = buckets.filter((b) => b.length > 0);
+      const pool = candidates.filter((b) => b[0].teamId !== previousTeam);
+      const bucket = (pool.length > 0 ? pool : candidates).sort((a, b) => b.length - a.length)[0];
+      const player = bucket.shift();
+      ordered.push(player);
+      previousTeam = player.teamId;
+    }
+    return ordered;
+  }
+
   addBot() {
-    if (this.players.length >= 8) return null; 
+    if (this.isFull()) return null;
     this.botsCount++;
-    const botName = `Bot ${this.botsCount}`;
-    return this.addPlayer(botName, null, false, true);
+    const personality = pickPersonality(this.players.filter(p => p.isBot));
+    const botName = pickBotName(personality, (name) => this.isNameTaken(name), this.botsCount);
+    const bot = this.addPlayer(botName, null, false, true);
+    bot.personality = personality;
+    this.persist();
+    return bot;
+  }
+
+  // Adds bots until there are `target` players (or the room is full); returns the new bots
+  fillWithBots(target) {
+    const added = [];
+    while (this.players.length < target && !this.isFull()) {
+      added.push(this.addBot());
+    }
+    return added;
   }
 
   removeBot() {
@@ -141,24 +609,253 @@ class Game {
     this.botsCount--;
   }
 
+  // Safe at any point of the game: the player's prompts, answers and votes go with them
+  // and the current phase moves on if it was only waiting for them.
   removePlayer(playerId) {
+    if (!this.getPlayer(playerId)) return;
+
     this.players = this.players.filter((p) => p.id !== playerId);
     this.answers.delete(playerId);
     this.votes.delete(playerId);
+    this.currentPrompts = this.currentPrompts.filter((p) => p.playerId !== playerId);
+    this.tiebreakerPlayers = this.tiebreakerPlayers.filter((id) => id !== playerId);
+    this.tiebreakerVoters = this.tiebreakerVoters.filter((id) => id !== playerId);
+    this.tiebreakerAnswers = this.tiebreakerAnswers.filter((a) => a.playerId !== playerId);
+    if (this.review) {
+      this.review.answers = this.review.answers.filter((a) => a.playerId !== playerId);
+    }
+
+    // Matches already decided stay as they were; the one on screen restarts without them
+    const current = this.votingMatches[this.currentMatchIndex];
+    const restartMatch = !!current && this.getMatchCandidates(current).includes(playerId) &&
+      (this.state === 'voting' || (this.state === 'moderation' && this.review.next === 'match'));
+    this.votingMatches = this.votingMatches.filter((match, index) => {
+      if (index < this.currentMatchIndex || (index === this.currentMatchIndex && !restartMatch)) {
+        return true;
+      }
+      return withoutPlayer(match, playerId);
+    });
+
+    if (restartMatch) {
+      this.clearTimer('vote');
+      this.clearTimer('moderation');
+      this.review = null;
+      this.startNextVotingMatch();
+    } else {
+      this.advanceIfPhaseComplete();
+    }
+    this.persist();
   }
 
+  // After someone leaves mid-phase, finish the phase if everyone left has already acted
+  advanceIfPhaseComplete() {
+    if ((this.state === 'answering' || this.state === 'tiebreaker-answering') && this.allAnswersSubmitted()) {
+      this.clearTimer('answer');
+      if (this.state === 'tiebreaker-answering') {
+        this.startTiebreakerVoting();
+      } else {
+        this.startVotingPhase();
+      }
+    } else if (this.state === 'voting' && this.allVotesSubmitted()) {
+      this.clearTimer('vote');
+      this.calculateResults();
+    } else if (this.state === 'tiebreaker' && this.allVotesSubmitted()) {
+      this.clearTimer('tiebreaker');
+      this.completeTiebreaker();
+    } else if (this.state === 'moderation' && this.review.answers.length === 0) {
+      this.finishModerationReview();
+    }
+  }
+
+  // Names are copied into matches and the transcript, so those follow along
+  renamePlayer(playerId, name) {
+    const member = this.getPlayer(playerId) || this.getAudienceMember(playerId);
+    if (!member) return ERROR_CODES.PLAYER_NOT_FOUND;
+    if (member.name !== name && this.isNameTaken(name)) return ERROR_CODES.NAME_TAKEN;
+
+    member.name = name;
+    const entries = [
+      ...this.votingMatches.flatMap((m) => (m.player1 ? [m.player1, m.player2] : (m.answers || []))),
+      ...this.tiebreakerAnswers,
+      ...this.matchLog.flatMap((m) => m.answers),
+    ];
+    entries.forEach((entry) => {
+      if ((entry.playerId || entry.id) === playerId) {
+        entry.name = name;
+      }
+    });
+    this.persist();
+    return null;
+  }
+
+  setLocked(locked) {
+    this.locked = locked;
+    this.persist();
+  }
+
+  // Offer the host role to another device; any earlier offer is replaced
+  createHostTransfer() {
+    let code = '';
+    for (let i = 0; i < TRANSFER_CODE_LENGTH; i++) {
+      code += TRANSFER_CODE_LETTERS[crypto.randomInt(TRANSFER_CODE_LETTERS.length)];
+    }
+    this.hostTransfer = { code, expiresAt: Date.now() + HOST_TRANSFER_TTL };
+    return this.hostTransfer;
+  }
+
+  // Returns true if `code` matched the open offer; the claiming socket becomes the host
+  claimHost(code, socketId) {
+    const transfer = this.hostTransfer;
+    if (!transfer || transfer.expiresAt < Date.now()) return false;
+    const given = Buffer.from(code.toUpperCase());
+    const expected = Buffer.from(transfer.code);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return false;
+
+    this.hostTransfer = null;
+    this.hostTokenVersion++;
+    this.hostSocketId = socketId;
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Play again in the same room: scores, answers, votes, matches and used prompts are
+   * wiped, while players (with their ids, tokens and teams) and the audience stay.
+   * `changes` may set maxRounds, cefrLevel and votingMode.
+   */
+  restart(changes = {}) {
+    // Prompts were picked for the old level
+    if (changes.cefrLevel && changes.cefrLevel !== this.settings.cefrLevel) {
+      this.prompts = [];
+    }
+    Object.assign(this.settings, changes);
+
+    this.clearAllTimers();
+    this.playthrough++;
+    this.state = 'waiting';
+    this.round = 0;
+    this.players.forEach((p) => { p.score = 0; });
+    this.teams.forEach((t) => { t.score = 0; });
+    this.currentPrompts = [];
+    this.answers.clear();
+    this.votes.clear();
+    this.audienceVotes.clear();
+    this.votingMatches = [];
+    this.currentMatchIndex = 0;
+    this.usedPromptIds.clear();
+    this.tiebreakerPlayers = [];
+    this.tiebreakerVoters = [];
+    this.tiebreakerAnswers = [];
+    this.tiebreakerRounds = 0;
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.matchLog = [];
+    this.roundScores = [];
+    this.pendingModeration = [];
+    this.moderationWait = null;
+    this.review = null;
+    this.persist();
+  }
+
+  // The first playthrough keeps the plain game id so existing report links stay valid
+  getHistoryId() {
+    return this.playthrough > 1 ? `${this.id}-${this.playthrough}` : this.id;
+  }
+
+  // Returns null once round 1 is under way, or OUT_OF_PROMPTS
   async startGame() {
     await this.loadPromptsFromAIIfNeeded();
+    await this.topUpPrompts();
+    this.startedAt = Date.now();
     this.round = 1;
-    this.startAnsweringPhase();
+    const error = this.startAnsweringPhase();
+    if (error) {
+      this.startedAt = null;
+      this.round = 0;
+    }
+    return error;
   }
 
+  // Builds the prompt pool from the host's chosen packs mixed with AI-generated prompts,
+  // topped up with the built-in fallbacks when there aren't enough.
   async loadPromptsFromAIIfNeeded() {
     if (this.prompts && this.prompts.length > 0) return;
 
+    const packPrompts = selectPackPrompts(this.promptPacks, this.settings.promptPacks, {
+      cefrLevel: this.settings.cefrLevel || 'B1',
+      maxRating: this.settings.maxRating || null,
+    }).map(p => ({ ...p, source: 'pack' }));
+
+    let aiPrompts = [];
+    if (this.settings.aiPrompts !== false || packPrompts.length === 0) {
+      aiPrompts = await this.fetchAIPrompts();
+      // With packs selected keep the mix even, so vetted prompts aren't drowned out
+      if (packPrompts.length > 0) {
+        aiPrompts = aiPrompts.slice(0, packPrompts.length);
+      }
+    }
+
+    let combined = [...packPrompts, ...aiPrompts];
+    if (combined.length < 5) {
+      combined = combined.concat(this.getFallbackPrompts());
+    }
+
+    this.prompts = [];
+    this.addPrompts(combined);
+  }
+
+  // Append prompts to the pool, skipping texts it already has; ids continue from the last one
+  addPrompts(prompts) {
+    const known = new Set(this.prompts.map(promptKey));
+    let nextId = this.prompts.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+    prompts.forEach(({ id, ...prompt }) => {
+      const key = promptKey(prompt);
+      if (known.has(key)) return;
+      known.add(key);
+      this.prompts.push({ ...prompt, id: nextId++ });
+    });
+  }
+
+  // Prompts this game hasn't used, and those of them this room hasn't seen in an earlier game
+  getUnusedPrompts() {
+    return this.prompts.filter(p => !this.usedPromptIds.has(p.id));
+  }
+
+  getFreshPrompts() {
+    return this.getUnusedPrompts().filter(p => !this.roomPromptHistory.has(promptKey(p)));
+  }
+
+  /**
+   * Ask the LLM for more prompts when the fresh ones are running low. Resolves once the
+   * new prompts are in the pool; calls made while a request is running share it.
+   * Games limited to prompt packs (aiPrompts off) never call the LLM.
+   */
+  topUpPrompts() {
+    if (this.promptTopUp) return this.promptTopUp;
+
+    const needed = Math.max(this.players.length, 1) * PROMPT_RESERVE_ROUNDS;
+    if (this.getFreshPrompts().length >= needed || this.settings.aiPrompts === false || !this.llm) {
+      return Promise.resolve();
+    }
+    this.promptTopUp = this.fetchAIPrompts()
+      .then((prompts) => this.addPrompts(prompts))
+      .finally(() => { this.promptTopUp = null; });
+    return this.promptTopUp;
+  }
+
+  // Same contract as waitForModeration: true if `next` will run once the top-up lands
+  waitForPrompts(next) {
+    if (!this.promptTopUp) return false;
+
+    this.promptTopUp.then(next);
+    return true;
+  }
+
+  // AI prompts as [{ text, source: 'ai' }], or [] when the model is unreachable or its output unusable
+  async fetchAIPrompts() {
     try {
       // Increased to 50 to support N prompts per round logic
-      const aiText = await fetchPromptsFromLocalAI(this.settings.cefrLevel || 'B1');
+      const aiText = await fetchPromptsFromLocalAI(this.llm, this.settings.cefrLevel || 'B1');
       let parsed;
       try {
         parsed = JSON.parse(aiText);
@@ -167,8 +864,7 @@ class Game {
       }
 
       if (!Array.isArray(parsed) || parsed.length === 0) {
-        this.prompts = this.generateFallbackPrompts();
-        return;
+        return [];
       }
 
       const validPrompts = parsed
@@ -177,17 +873,13 @@ class Game {
         .slice(0, 50);
 
       if (validPrompts.length < 5) {
-        this.prompts = this.generateFallbackPrompts();
-        return;
+        return [];
       }
 
-      this.prompts = validPrompts.map((text, index) => ({
-        id: index + 1,
-        text,
-      }));
+      return validPrompts.map(text => ({ text, source: 'ai' }));
     } catch (err) {
       console.error('Failed to load prompts:', err);
-      this.prompts = this.generateFallbackPrompts();
+      return [];
     }
   }
 
@@ -208,86 +900,364 @@ class Game {
       { id: 12, text: 'Worst place to propose: ______' },
       { id: 13, text: 'A bad name for a band: ______' },
       { id: 14, text: 'Worst thing to say to a cop: ______' },
-      { id: 15, text: 'A weird reason to get fired: ______' }
+      { id: 15, text: 'A weird reason to get fired: ______' },
+      // Enough for a full 8-player game even when the LLM is down
+      { id: 16, text: 'The worst thing to find in your sandwich: ______' },
+      { id: 17, text: 'A strange hobby for a grandmother: ______' },
+      { id: 18, text: 'The least popular theme park ride: ______' },
+      { id: 19, text: 'A bad name for a restaurant: ______' },
+      { id: 20, text: 'What aliens would find most confusing about us: ______' },
+      { id: 21, text: 'The worst gift for a teacher: ______' },
+      { id: 22, text: 'A surprising thing to keep in your fridge: ______' },
+      { id: 23, text: 'The most boring superhero: ______' },
+      { id: 24, text: 'A terrible slogan for a toothpaste: ______' },
+      { id: 25, text: 'Something you should never say at a wedding: ______' },
+      { id: 26, text: 'The worst name for a boat: ______' },
+      { id: 27, text: 'A silly new school subject: ______' },
+      { id: 28, text: 'What the dog is really thinking: ______' },
+      { id: 29, text: 'The worst thing to shout in a library: ______' },
+      { id: 30, text: 'A bad idea for a birthday party: ______' },
+      { id: 31, text: 'The secret ingredient in grandma\'s soup: ______' },
+      { id: 32, text: 'A useless app for your phone: ______' },
+      { id: 33, text: 'The worst thing to bring on a camping trip: ______' },
+      { id: 34, text: 'A terrible name for a new planet: ______' },
+      { id: 35, text: 'The real reason dinosaurs disappeared: ______' },
+      { id: 36, text: 'An unusual thing to collect: ______' },
+      { id: 37, text: 'The worst advice for a job interview: ______' },
+      { id: 38, text: 'A strange rule for a swimming pool: ______' },
+      { id: 39, text: 'What robots do on their day off: ______' },
+      { id: 40, text: 'The most annoying sound in the world: ______' }
     ];
   }
 
+  getFallbackPrompts() {
+    return this.generateFallbackPrompts().map(({ text }) => ({ text, source: 'fallback' }));
+  }
+
+  /**
+   * `count` different prompts this game hasn't used yet, preferring ones this room hasn't
+   * seen in an earlier game, and marks them used. When the pool runs dry (the LLM top-up
+   * failed or is off) the built-in prompts are added. Prompts never repeat within a game:
+   * if even those are gone this returns null and nothing is marked used.
+   */
   selectRandomPrompts(count) {
-    // Helper to get N random prompts
-    const shuffled = [...this.prompts].sort(() => Math.random() - 0.5);
-    if (count > shuffled.length) {
-         // Reuse if needed (basic cycling)
-         const extended = [];
-         while (extended.length < count) {
-             extended.push(...shuffled);
-         }
-         return extended.slice(0, count);
+    if (this.getUnusedPrompts().length < count) {
+      this.addPrompts(this.getFallbackPrompts());
     }
-    return shuffled.slice(0, count);
+
+    const fresh = this.getFreshPrompts();
+    const seenBefore = this.getUnusedPrompts().filter(p => this.roomPromptHistory.has(promptKey(p)));
+    const selected = [...shuffle(fresh), ...shuffle(seenBefore)].slice(0, count);
+    if (selected.length < count) return null;
+
+    selected.forEach(p => {
+      this.usedPromptIds.add(p.id);
+      this.roomPromptHistory.add(promptKey(p));
+    });
+    return selected;
+  }
+
+  getVotingMode() {
+    return VOTING_MODES[this.settings.votingMode] ? this.settings.votingMode : 'pairs';
   }
 
   assignPrompts() {
-    const prompts = [];
-    const numPlayers = this.players.length;
+    // Final round (Last Lash): one shared prompt for everyone, whatever the mode
+    return this.isFinalRound()
+      ? this.assignSharedPrompt()
+      : VOTING_MODES[this.getVotingMode()].assignPrompts(this);
+  }
 
-    // Ensure we have prompts loaded (this.prompts)
-    if (!this.prompts || this.prompts.length === 0) {
-        this.prompts = this.generateFallbackPrompts();
-    }
+  // The assign* methods return null when there aren't enough unused prompts left
+  assignSharedPrompt() {
+    const [sharedPrompt] = this.selectRandomPrompts(1) || [];
+    if (!sharedPrompt) return null;
+    return this.players.map(p => ({ playerId: p.id, promptId: sharedPrompt.id, text: sharedPrompt.text }));
+  }
 
-    if (this.isFinalRound()) { // Round 3: Last Lash
-        // One shared prompt for everyone
-        const promptIndex = Math.floor(Math.random() * this.prompts.length);
-        const sharedPrompt = this.prompts[promptIndex];
-        this.players.forEach(p => {
-            prompts.push({ playerId: p.id, promptId: sharedPrompt.id, text: sharedPrompt.text });
-        });
-    } else { // Round 1 & 2
-        // Circular assignment: P_i gets Prompt_i and Prompt_{i-1} (wrapping)
-        // We need N unique prompts (one per pair).
-        const selectedPrompts = this.selectRandomPrompts(numPlayers); 
+  assignPairPrompts() {
+    const prompts = [];
+    const players = this.orderByTeams(this.players);
+    const numPlayers = players.length;
+
+    // Circular assignment: P_i gets Prompt_i and Prompt_{i-1} (wrapping)
+    // We need N unique prompts (one per pair).
+    const selectedPrompts = this.selectRandomPrompts(numPlayers);
+    if (!selectedPrompts) return null;
+    
+    // Assign Pair i: P[i], P[i+1] -> Prompt[i]
+    for (let i = 0; i < numPlayers; i++) {
+        const p1 = players[i];
+        const p2 = players[(i + 1) % numPlayers];
+        const prompt = selectedPrompts[i];
         
-        // Assign Pair i: P[i], P[i+1] -> Prompt[i]
-        for (let i = 0; i < numPlayers; i++) {
-            const p1 = this.players[i];
-            const p2 = this.players[(i + 1) % numPlayers];
-            const prompt = selectedPrompts[i];
-            
-            // Assign to p1
-            prompts.push({ playerId: p1.id, promptId: prompt.id, text: prompt.text });
-            // Assign to p2
+        // Assign to p1
+        prompts.push({ playerId: p1.id, promptId: prompt.id, text: prompt.text });
+        // Assign to p2 (a solo debug player only gets the prompt once)
+        if (p2 !== p1) {
             prompts.push({ playerId: p2.id, promptId: prompt.id, text: prompt.text });
         }
     }
     return prompts;
   }
 
-  async simulateBotAnswers() {
-    if (!this.debugMode) return;
-    const botPromises = [];
+  // Split players into groups of `size` sharing one prompt each. A leftover single player
+  // joins the last group; a larger leftover forms a smaller group of its own.
+  assignGroupPrompts(size) {
+    const shuffled = this.orderByTeams(shuffle(this.players));
+
+    const groups = [];
+    for (let i = 0; i < shuffled.length; i += size) {
+        groups.push(shuffled.slice(i, i + size));
+    }
+    if (groups.length > 1 && groups[groups.length - 1].length === 1) {
+        groups[groups.length - 2].push(...groups.pop());
+    }
+
+    const selectedPrompts = this.selectRandomPrompts(groups.length);
+    if (!selectedPrompts) return null;
+    const prompts = [];
+    groups.forEach((group, i) => {
+        group.forEach(p => {
+            prompts.push({ playerId: p.id, promptId: selectedPrompts[i].id, text: selectedPrompts[i].text });
+        });
+    });
+    return prompts;
+  }
+
+  pickTiebreakerPrompt() {
+    const [prompt] = this.selectRandomPrompts(1) || [];
+    return prompt || null;
+  }
+
+  // Bots write in their personality's style and hand answers in after a human-like pause
+  simulateBotAnswers() {
+    const { playthrough, round, tiebreakerRounds, state } = this;
     this.players.forEach(player => {
-      if (player.isBot) {
-        const playerPrompts = this.currentPrompts.filter(p => p.playerId === player.id);
-        playerPrompts.forEach(prompt => {
-            const promise = generateBotAnswer(prompt.text, this.settings.cefrLevel || 'B1').then(answer => {
-                this.submitAnswer(player.id, prompt.promptId, answer);
-            });
-            botPromises.push(promise);
+      if (!player.isBot) return;
+      this.getPendingPrompts(player.id).forEach(prompt => {
+        const answer = generateBotAnswer(this.llm, player.personality, prompt.text, this.settings.cefrLevel || 'B1');
+        this.scheduleBotAction(botDelay('answer', this.settings.answerTime, this.botDelayScale), () => {
+          answer.then(text => {
+            // A reply from before a restart or an earlier round belongs to a game that has moved on
+            const samePhase = this.playthrough === playthrough && this.round === round &&
+              this.tiebreakerRounds === tiebreakerRounds && this.state === state;
+            if (!samePhase) return;
+            this.submitAnswer(player.id, prompt.promptId, text);
+          });
         });
-      }
+      });
     });
-    await Promise.all(botPromises);
   }
 
+  // Bot timers aren't saved, so after a restore the bots pick up whatever the phase still needs from them
+  resumeBots() {
+    switch (this.state) {
+      case 'answering':
+      case 'tiebreaker-answering':
+        this.simulateBotAnswers();
+        break;
+      case 'voting':
+        this.simulateBotVotesForMatch(this.votingMatches[this.currentMatchIndex]);
+        break;
+      case 'tiebreaker':
+        this.simulateBotTiebreakerVotes();
+        break;
+      default:
+        break;
+    }
+  }
+
+  scheduleBotAction(delayMs, action) {
+    const timer = setTimeout(() => {
+      this.botTimers.delete(timer);
+      action();
+    }, delayMs);
+    this.botTimers.add(timer);
+  }
+
+  clearBotTimers() {
+    this.botTimers.forEach(timer => clearTimeout(timer));
+    this.botTimers.clear();
+  }
+
+  // Returns null when accepted, otherwise the ERROR_CODES entry explaining why not
   submitAnswer(playerId, promptId, answer) {
+    const error = this.validateAnswer(playerId, promptId);
+    if (error) return error;
+
     if (!this.answers.has(playerId)) {
         this.answers.set(playerId, new Map());
     }
     this.answers.get(playerId).set(promptId, { promptId, answer, timestamp: Date.now() });
+    this.moderateAnswer(playerId, promptId);
+    this.persist();
 
     if (this.allAnswersSubmitted()) {
       this.clearTimer('answer');
-      this.startVotingPhase();
+      if (this.state === 'tiebreaker-answering') {
+        this.startTiebreakerVoting();
+      } else {
+        this.startVotingPhase();
+      }
+    }
+    return null;
+  }
+
+  validateAnswer(playerId, promptId) {
+    // Late answers (after the deadline auto-submitted them) must not restart voting.
+    if (this.state !== 'answering' && this.state !== 'tiebreaker-answering') {
+      return ERROR_CODES.WRONG_STATE;
+    }
+    if (!this.currentPrompts.some(p => p.playerId === playerId && p.promptId === promptId)) {
+      return ERROR_CODES.PROMPT_NOT_ASSIGNED;
+    }
+    if (this.answers.has(playerId) && this.answers.get(playerId).has(promptId)) {
+      return ERROR_CODES.ALREADY_ANSWERED;
+    }
+    return null;
+  }
+
+  // Word lists run right away; the optional LLM check runs in the background and is
+  // awaited before any answer reaches the host screen.
+  moderateAnswer(playerId, promptId) {
+    if (!this.moderator) return;
+
+    const record = this.answers.get(playerId).get(promptId);
+    const options = { ageGroup: this.settings.ageGroup, cefrLevel: this.settings.cefrLevel || 'B1' };
+    const result = this.moderator.checkWords(record.answer, options);
+    record.moderation = { status: result.flagged ? 'flagged' : 'clean', reasons: result.reasons };
+
+    if (!result.flagged && this.settings.llmModeration && this.llm) {
+      const promptText = this.currentPrompts.find(p => p.promptId === promptId)?.text || '';
+      const check = this.moderator.checkWithLLM(this.llm, record.answer, { ...options, promptText }).then(llmResult => {
+        if (llmResult.flagged) {
+          record.moderation = { status: 'flagged', reasons: llmResult.reasons };
+        }
+      });
+      this.pendingModeration.push(check);
+    }
+  }
+
+  // Runs `next` once every in-flight LLM check is back. Returns true if it had to wait.
+  // While a wait is on, other calls (a player leaving, the timer) return true and leave
+  // the phase change to it, so it only happens once.
+  waitForModeration(next) {
+    if (this.moderationWait) return true;
+    if (this.pendingModeration.length === 0) return false;
+
+    const pending = this.pendingModeration;
+    this.pendingModeration = [];
+    const phase = { playthrough: this.playthrough, round: this.round, state: this.state };
+    const wait = Promise.all(pending).then(() => {
+      if (this.moderationWait !== wait) return;
+      this.moderationWait = null;
+      // Skip if a restart or the host moved the game on meanwhile
+      if (this.playthrough === phase.playthrough && this.round === phase.round && this.state === phase.state) {
+        next();
+      }
+    });
+    this.moderationWait = wait;
+    return true;
+  }
+
+  // Flagged answers the host hasn't ruled on yet, as [{ playerId, promptId }]
+  getFlaggedAnswers(playerIds, promptId) {
+    const flagged = [];
+    playerIds.forEach(playerId => {
+      (this.answers.get(playerId) || new Map()).forEach((record, id) => {
+        if (promptId !== undefined && id !== promptId) return;
+        if (record.moderation && record.moderation.status === 'flagged') {
+          flagged.push({ playerId, promptId: id });
+        }
+      });
+    });
+    return flagged;
+  }
+
+  // Hold the next match (or the tiebreaker vote) back until the host has dealt with its flagged answers
+  startModerationReview(next, flagged) {
+    this.review = { next, answers: flagged };
+    this.state = 'moderation';
+    this.startTimer('moderation', MODERATION_REVIEW_TIME);
+    this.emitToHost('moderation-review', this.getModerationPayload());
+  }
+
+  getModerationPayload() {
+    return {
+      reviewing: this.review.next,
+      matchIndex: this.currentMatchIndex,
+      answers: this.review.answers.map(({ playerId, promptId }) => {
+        const record = this.answers.get(playerId).get(promptId);
+        return {
+          playerId,
+          promptId,
+          name: this.getPlayer(playerId)?.name || '',
+          promptText: this.prompts.find(p => p.id === promptId)?.text || '',
+          answer: record.answer,
+          reasons: record.moderation.reasons,
+        };
+      }),
+    };
+  }
+
+  // Host decision on a flagged answer: 'approve' keeps it, 'hide' blanks it, 'replace' swaps in the host's text.
+  // Returns null when applied, otherwise an ERROR_CODES entry.
+  reviewAnswer(playerId, promptId, action, replacement = '') {
+    if (this.state !== 'moderation' || !this.review) return ERROR_CODES.WRONG_STATE;
+
+    const index = this.review.answers.findIndex(a => a.playerId === playerId && a.promptId === promptId);
+    if (index === -1) return ERROR_CODES.ANSWER_NOT_FLAGGED;
+    if (action === 'replace' && !replacement.trim()) return ERROR_CODES.INVALID_PAYLOAD;
+
+    this.applyReview(playerId, promptId, action, replacement);
+    this.review.answers.splice(index, 1);
+
+    if (this.review.answers.length === 0) {
+      this.finishModerationReview();
+    } else {
+      this.persist();
+      this.emitToHost('moderation-review', this.getModerationPayload());
+    }
+    return null;
+  }
+
+  applyReview(playerId, promptId, action, replacement = '') {
+    const record = this.answers.get(playerId).get(promptId);
+    const statuses = { approve: 'approved', hide: 'hidden', replace: 'replaced' };
+    record.moderation = { ...record.moderation, status: statuses[action] };
+    if (action === 'approve') return;
+
+    record.originalAnswer = record.answer;
+    record.answer = action === 'replace' ? replacement.trim() : HIDDEN_ANSWER_TEXT;
+
+    // Matches hold copies of the answer text, so patch them too
+    this.votingMatches.forEach(match => {
+      if (match.promptId !== undefined && match.promptId !== promptId) return;
+      [match.player1, match.player2].forEach(p => {
+        if (p && p.id === playerId) p.answer = record.answer;
+      });
+      (match.answers || []).forEach(a => {
+        if ((a.playerId || a.id) === playerId) a.answer = record.answer;
+      });
+    });
+  }
+
+  finishModerationReview() {
+    const { next } = this.review;
+    this.review = null;
+    this.clearTimer('moderation');
+    if (next === 'tiebreaker') {
+      this.startTiebreakerVoting();
+    } else {
+      this.startNextVotingMatch();
+    }
+  }
+
+  emitToHost(event, data) {
+    // Never fall back to the room: flagged answers must not reach the players' screens
+    if (this.emit && this.hostSocketId) {
+      this.emit(event, data, this.hostSocketId);
     }
   }
 
@@ -301,11 +1271,9 @@ class Game {
     return this.round >= this.settings.maxRounds;
   }
 
+  // Moves on to the next round's intermission, or returns false after the last round
   startNextRound() {
-    if (this.round >= this.settings.maxRounds) {
-      this.state = 'finished';
-      return false;
-    }
+    if (this.round >= this.settings.maxRounds) return false;
 
     this.round++;
     this.state = 'intermission';
@@ -314,22 +1282,25 @@ class Game {
     return true;
   }
 
+  // Returns OUT_OF_PROMPTS, leaving the state alone, when the round can't be dealt
   startAnsweringPhase() {
+    const prompts = this.assignPrompts();
+    if (!prompts) return ERROR_CODES.OUT_OF_PROMPTS;
+
     this.state = 'answering';
-    this.currentPrompts = this.assignPrompts();
+    this.currentPrompts = prompts;
     this.answers.clear();
+    this.answerPhaseStartedAt = Date.now();
     this.startTimer('answer', this.settings.answerTime);
     this.simulateBotAnswers();
+    // Fetch more prompts in the background while this round is played
+    this.topUpPrompts();
+    return null;
   }
 
   createFinalRoundVoting() {
     // Round 3: "Battle Royale" - All answers on screen
-    const answers = this.createIndividualVoting(); // Gets all answers
-    // Shuffle them
-    for (let i = answers.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [answers[i], answers[j]] = [answers[j], answers[i]];
-    }
+    const answers = shuffle(this.createIndividualVoting()); // Gets all answers
     // One big match, mode 'medals'
     // Ensure promptText is available
     const promptText = answers[0]?.promptText || 'Final Round';
@@ -355,12 +1326,8 @@ class Game {
     });
 
     // Create pairs for each prompt
-    answersByPrompt.forEach((answers, promptId) => {
-        // Shuffle answers for this prompt
-        for (let i = answers.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [answers[i], answers[j]] = [answers[j], answers[i]];
-        }
+    answersByPrompt.forEach((promptAnswers, promptId) => {
+        const answers = shuffle(promptAnswers);
 
         // Create pairs
         for (let i = 0; i < answers.length; i += 2) {
@@ -385,12 +1352,42 @@ class Game {
         }
     });
     
-    return matches.sort(() => Math.random() - 0.5);
+    return shuffle(matches);
+  }
+
+  // Collects answers per prompt as { promptId, promptText, answers: [{ id, playerId, name, answer }] }, shuffled.
+  groupAnswersByPrompt() {
+    const groups = new Map();
+    this.answers.forEach((answerMap, playerId) => {
+        answerMap.forEach((answerData, promptId) => {
+            if (!groups.has(promptId)) {
+                const prompt = this.prompts.find(p => p.id === promptId);
+                groups.set(promptId, { promptId, promptText: prompt ? prompt.text : '', answers: [] });
+            }
+            groups.get(promptId).answers.push({
+                id: playerId,
+                playerId,
+                name: this.getPlayer(playerId).name,
+                answer: answerData.answer
+            });
+        });
+    });
+
+    return Array.from(groups.values(), (group) => ({ ...group, answers: shuffle(group.answers) }));
   }
 
   createThriplesVoting() {
-      // (Retained for backward compatibility if needed, but not used in new logic)
-      return this.createAnswerPairs(); // Fallback to pairs or handled elsewhere
+      // One three-way match per prompt group (a group of two or four is still voted the same way)
+      return shuffle(this.groupAnswersByPrompt()
+        .filter(group => group.answers.length > 1)
+        .map(group => ({ mode: 'thriples', ...group })));
+  }
+
+  createBattleRoyaleVoting() {
+      // Everyone answered the same prompt: a single match with every answer on screen
+      return this.groupAnswersByPrompt()
+        .filter(group => group.answers.length > 1)
+        .map(group => ({ mode: 'individual', ...group }));
   }
 
   createIndividualVoting() {
@@ -420,25 +1417,120 @@ class Game {
           if (count > maxVotes) maxVotes = count;
         });
 
+        // Nobody voting settles nothing: no bonus, the tie stands
         const winners = [];
-        voteCounts.forEach((count, playerId) => {
-          if (count === maxVotes) winners.push(playerId);
-        });
+        if (maxVotes > 0) {
+          voteCounts.forEach((count, playerId) => {
+            if (count === maxVotes) winners.push(playerId);
+          });
+        }
         
+        const scoresBefore = new Map(this.players.map(p => [p.id, p.score]));
         winners.forEach(playerId => {
              const player = this.getPlayer(playerId);
-             if (player) player.score += 500;
+             if (player) this.awardPoints(player, this.getScoringRules().tiebreakerBonus);
         });
+        this.recordMatch({
+            mode: 'tiebreaker',
+            promptText: this.currentPrompts[0]?.text || '',
+            answers: this.tiebreakerAnswers,
+        }, voteCounts, new Map(), scoresBefore);
+
+        return {
+            answers: this.tiebreakerAnswers ? this.tiebreakerAnswers.map(ans => ({
+                ...ans,
+                votes: voteCounts.get(ans.playerId) || 0,
+                isWinner: winners.includes(ans.playerId)
+            })) : [],
+            scores: this.getFinalScores(),
+            isFinal: true,
+            wasTiebreaker: true
+        };
+  }
+
+  // Players sharing the top score, or an empty array when first place is clear.
+  getTiedLeaders() {
+    // Team games are decided by team totals; a tie there is shared
+    if (this.isTeamMode() || this.players.length < 2) return [];
+    const topScore = Math.max(...this.players.map(p => p.score));
+    const leaders = this.players.filter(p => p.score === topScore);
+    return leaders.length > 1 ? leaders : [];
+  }
+
+  // Returns false, changing nothing, when no unused prompt is left for it
+  startTiebreaker(tiedPlayers) {
+    const prompt = this.pickTiebreakerPrompt();
+    if (!prompt) return false;
+
+    this.tiebreakerRounds++;
+    this.tiebreakerPlayers = tiedPlayers.map(p => p.id);
+    // Everyone else judges; if the whole lobby is tied they all vote (but not for themselves)
+    const others = this.players.filter(p => !this.tiebreakerPlayers.includes(p.id));
+    this.tiebreakerVoters = (others.length > 0 ? others : this.players).map(p => p.id);
+    this.tiebreakerAnswers = [];
+
+    this.state = 'tiebreaker-answering';
+    this.currentPrompts = tiedPlayers.map(p => ({ playerId: p.id, promptId: prompt.id, text: prompt.text }));
+    this.answers.clear();
+    this.votes.clear();
+    this.startTimer('answer', this.settings.answerTime);
+
+    if (this.emit) {
+      this.emit('tiebreaker-start', {
+        tiebreakerRound: this.tiebreakerRounds,
+        tiedPlayers: tiedPlayers.map(p => ({ id: p.id, name: p.name, score: p.score })),
+        prompts: this.currentPrompts,
+      });
+    }
+    this.simulateBotAnswers();
+    return true;
+  }
+
+  startTiebreakerVoting() {
+    if (this.waitForModeration(() => this.startTiebreakerVoting())) return;
+
+    const flagged = this.getFlaggedAnswers(this.tiebreakerPlayers);
+    if (flagged.length > 0) {
+      this.startModerationReview('tiebreaker', flagged);
+      return;
+    }
+
+    this.votes.clear();
+    const answers = this.createIndividualVoting().map(ans => ({
+      playerId: ans.playerId,
+      name: ans.name,
+      answer: ans.answer,
+      score: this.getPlayer(ans.playerId).score,
+    }));
+    this.tiebreakerAnswers = shuffle(answers);
+
+    this.state = 'tiebreaker';
+    this.startTimer('tiebreaker', this.settings.voteTime);
+
+    if (this.emit) {
+      this.emit('tiebreaker-voting', this.getTiebreakerVotingPayload());
+    }
+    this.simulateBotTiebreakerVotes();
+  }
+
+  // Players allowed to vote right now. Competitors sit a match out unless everyone is competing
+  // (Battle Royale, the final round, very small games); then they just can't vote for themselves.
+  getEligibleVoters() {
+    if (this.state === 'tiebreaker') {
+      return this.tiebreakerVoters;
+    }
+    const match = this.votingMatches[this.currentMatchIndex];
+    const candidates = match ? this.getMatchCandidates(match) : [];
+    const outsiders = this.players.filter(p => !candidates.includes(p.id));
+    return (outsiders.length > 0 ? outsiders : this.players).map(p => p.id);
+  }
 
-        return {
-            answers: this.tiebreakerAnswers ? this.tiebreakerAnswers.map(ans => ({
-                ...ans,
-                votes: voteCounts.get(ans.playerId) || 0,
-                isWinner: winners.includes(ans.playerId)
-            })) : [],
-            scores: this.getFinalScores(),
-            isFinal: true
-        };
+  // PlayerIds competing in a match, whatever its shape (pair, thriple, battle royale or medals)
+  getMatchCandidates(match) {
+    if (match.player1) {
+      return [match.player1.id, match.player2.id];
+    }
+    return (match.answers || []).map(a => a.playerId || a.id);
   }
 
   getPlayer(playerId) {
@@ -452,38 +1544,33 @@ class Game {
   startTimer(timerName, seconds) {
     this.clearTimer(timerName);
 
-    // Disable gameplay timers to allow infinite time
-    if (timerName !== 'intermission') {
-      return;
-    }
-
+    const now = Date.now();
     this.timers.set(timerName, {
-      start: Date.now(),
+      start: now,
       duration: seconds * 1000,
-      endTime: Date.now() + seconds * 1000,
-      interval: setInterval(() => {
-        const timer = this.timers.get(timerName);
-        if (!timer) return;
-        const remaining = Math.max(0, timer.endTime - Date.now());
-        if (remaining <= 0) {
-          this.handleTimerEnd(timerName);
-        }
-      }, 1000),
+      endTime: now + seconds * 1000,
+      paused: false,
+      remaining: null,
+      interval: this.createTimerInterval(timerName),
     });
 
+    // Every phase transition starts a timer, so this is where state changes get saved
+    this.persist();
     if (this.emit) {
-      this.emit('timer-start', { phase: timerName, duration: seconds });
+      this.emit('timer-start', this.getTimerInfo(timerName));
     }
   }
 
   startVotingPhase() {
+    if (this.waitForModeration(() => this.startVotingPhase())) return;
+
     this.votes.clear();
+    this.audienceVotes.clear();
     
     if (this.isFinalRound()) {
       this.votingMatches = this.createFinalRoundVoting();
     } else {
-       // Round 1 & 2 use Pairs
-       this.votingMatches = this.createAnswerPairs();
+       this.votingMatches = VOTING_MODES[this.getVotingMode()].createMatches(this);
        // Fallback for testing/low player count
        if (this.votingMatches.length === 0) {
            const answers = this.createIndividualVoting();
@@ -502,7 +1589,15 @@ class Game {
        return;
     }
 
+    const match = this.votingMatches[this.currentMatchIndex];
+    const flagged = this.getFlaggedAnswers(this.getMatchCandidates(match), match.promptId);
+    if (flagged.length > 0) {
+      this.startModerationReview('match', flagged);
+      return;
+    }
+
     this.votes.clear();
+    this.audienceVotes.clear();
     const currentMatch = this.votingMatches[this.currentMatchIndex];
     
     this.state = 'voting';
@@ -511,42 +1606,87 @@ class Game {
     this.simulateBotVotesForMatch(currentMatch);
 
     if (this.emit) {
-        this.emit('start-voting', {
-            mode: currentMatch.mode || (this.isFinalRound() ? 'medals' : 'individual'), 
-            match: currentMatch,
-            matchIndex: this.currentMatchIndex,
-            totalMatches: this.votingMatches.length,
-            isFinal: this.isFinalRound()
-        });
+        this.emit('start-voting', this.getVotingPayload());
     }
   }
 
+  getVotingPayload() {
+    const currentMatch = this.votingMatches[this.currentMatchIndex];
+    return {
+        mode: currentMatch.mode || (this.isFinalRound() ? 'medals' : 'individual'), 
+        match: currentMatch,
+        matchIndex: this.currentMatchIndex,
+        totalMatches: this.votingMatches.length,
+        isFinal: this.isFinalRound(),
+        voters: this.getEligibleVoters(),
+        audienceCount: this.audience.length
+    };
+  }
+
+  getTiebreakerVotingPayload() {
+    return {
+      promptText: this.currentPrompts[0]?.text || '',
+      tiedAnswers: this.tiebreakerAnswers,
+      allowedVoters: this.tiebreakerVoters,
+    };
+  }
+
+  simulateBotTiebreakerVotes() {
+    const options = this.tiebreakerAnswers.map(a => ({ id: a.playerId, answer: a.answer }));
+    const promptText = this.currentPrompts[0]?.text || '';
+    this.players.forEach(player => {
+      if (!player.isBot || !this.tiebreakerVoters.includes(player.id) || this.votes.has(player.id)) return;
+      this.scheduleBotVote(player, promptText, options.filter(o => o.id !== player.id), 1,
+        () => this.state === 'tiebreaker');
+    });
+  }
+
+  // Each bot asks the LLM which answer it finds funniest; never its own
   simulateBotVotesForMatch(match) {
-    if (!this.debugMode) return;
+    const voters = this.getEligibleVoters();
+    const matchIndex = this.currentMatchIndex;
+    const options = match.player1
+      ? [match.player1, match.player2].map(p => ({ id: p.id, answer: p.answer }))
+      : match.answers.map(a => ({ id: a.playerId || a.id, answer: a.answer }));
+    const picks = match.mode === 'medals' ? MEDALS_PER_VOTER : 1;
     this.players.forEach(player => {
-      if (player.isBot) {
-        let voteId;
-        if (match.mode === 'individual') {
-             voteId = match.answers[Math.floor(Math.random() * match.answers.length)].playerId;
-        } else if (match.player1) { // Pair
-             voteId = Math.random() < 0.5 ? match.player1.id : match.player2.id;
-        } else if (match.answers) { // Thriple/Medals
-             voteId = match.answers[Math.floor(Math.random() * match.answers.length)].id || match.answers[Math.floor(Math.random() * match.answers.length)].playerId;
-        }
-        if (voteId) {
-             this.submitVote(player.id, voteId);
-             console.log(`Bot ${player.name} voted for: ${voteId}`);
-        }
-      }
+      if (!player.isBot || !voters.includes(player.id) || this.votes.has(player.id)) return;
+      this.scheduleBotVote(player, match.promptText || '', options.filter(o => o.id !== player.id), picks,
+        () => this.state === 'voting' && this.currentMatchIndex === matchIndex);
+    });
+  }
+
+  // Judges `options` right away but only votes after a delay, and only if `stillOpen()`.
+  // A slow judge may answer after its round is over: match indexes repeat every round
+  // (with the same candidates), so the round and tiebreaker round must match too.
+  scheduleBotVote(bot, promptText, options, picks, stillOpen) {
+    if (options.length === 0) return;
+    const { playthrough, round, tiebreakerRounds } = this;
+    const judging = judgeAnswers(this.llm, bot.personality, promptText, options, picks);
+    this.scheduleBotAction(botDelay('vote', this.settings.voteTime, this.botDelayScale), () => {
+      judging.then(ranked => {
+        const sameRound = this.playthrough === playthrough && this.round === round && this.tiebreakerRounds === tiebreakerRounds;
+        if (!sameRound || !stillOpen()) return;
+        // Medal votes always hand out every medal, so repeat the last pick if there are too few
+        const voteId = picks > 1
+          ? Array.from({ length: picks }, (_, i) => ranked[Math.min(i, ranked.length - 1)])
+          : ranked[0];
+        this.submitVote(bot.id, voteId);
+      });
     });
   }
 
+   // Returns null when accepted, otherwise the ERROR_CODES entry explaining why not
    submitVote(playerId, voteId) {
-      if (this.state === 'tiebreaker' && !this.tiebreakerPlayers.includes(playerId)) {
-        return; 
+      if (this.isAudience(playerId)) {
+        return this.submitAudienceVote(playerId, voteId);
       }
 
+      const error = this.validateVote(playerId, voteId);
+      if (error) return error;
+
       this.votes.set(playerId, voteId);
+      this.persist();
 
       if (this.allVotesSubmitted()) {
         if (this.state === 'tiebreaker') {
@@ -557,34 +1697,74 @@ class Game {
           this.calculateResults();
         }
       }
+      return null;
     }
-  
-  allVotesSubmitted() {
-    if (this.state === 'tiebreaker') {
-      return this.votes.size === this.tiebreakerPlayers.length;
+
+  validateVote(playerId, voteId) {
+    if (this.state !== 'voting' && this.state !== 'tiebreaker') {
+      return ERROR_CODES.WRONG_STATE;
+    }
+    if (!this.getEligibleVoters().includes(playerId)) {
+      return ERROR_CODES.NOT_ELIGIBLE_TO_VOTE;
+    }
+    if (this.votes.has(playerId)) {
+      return ERROR_CODES.ALREADY_VOTED;
+    }
+    return this.validateVoteChoice(playerId, voteId);
+  }
+
+  // Audience votes never hold a match up; they only feed the audience bonus
+  submitAudienceVote(audienceId, voteId) {
+    if (this.state !== 'voting') {
+      return this.state === 'tiebreaker' ? ERROR_CODES.NOT_ELIGIBLE_TO_VOTE : ERROR_CODES.WRONG_STATE;
+    }
+    if (this.audienceVotes.has(audienceId)) {
+      return ERROR_CODES.ALREADY_VOTED;
+    }
+    const error = this.validateVoteChoice(audienceId, voteId);
+    if (error) return error;
+
+    this.audienceVotes.set(audienceId, voteId);
+    this.persist();
+    return null;
+  }
+
+  // Shape and target checks shared by player and audience votes
+  validateVoteChoice(voterId, voteId) {
+    const match = this.votingMatches[this.currentMatchIndex];
+    const candidates = this.state === 'tiebreaker' ? this.tiebreakerPlayers : this.getMatchCandidates(match);
+    // The final round hands out exactly MEDALS_PER_VOTER medals (several may go to one answer)
+    const isMedals = this.state === 'voting' && match.mode === 'medals';
+    if (isMedals !== Array.isArray(voteId) || (isMedals && voteId.length !== MEDALS_PER_VOTER)) {
+      return ERROR_CODES.INVALID_VOTE;
+    }
+
+    const picks = isMedals ? voteId : [voteId];
+    if (picks.includes(voterId)) {
+      return ERROR_CODES.SELF_VOTE;
     }
-    return this.votes.size === this.players.length;
+    if (!picks.every(id => candidates.includes(id))) {
+      return ERROR_CODES.INVALID_VOTE;
+    }
+    return null;
+  }
+
+  allVotesSubmitted() {
+    return this.getEligibleVoters().every(id => this.votes.has(id));
+  }
+
+  // Counts per candidate; medal votes (arrays) count once per medal
+  tallyVotes(votes) {
+      const counts = new Map();
+      votes.forEach(v => {
+          (Array.isArray(v) ? v : [v]).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+      });
+      return counts;
   }
 
   calculateResults() {
       // Calculate results for this match only
-      const voteCounts = new Map();
-      const votesArray = Array.from(this.votes.values());
-
-      let totalVotesCast = 0;
-
-      // Handle both single and array votes
-      votesArray.forEach(v => {
-          if (Array.isArray(v)) {
-              v.forEach(id => {
-                  voteCounts.set(id, (voteCounts.get(id) || 0) + 1);
-                  totalVotesCast++;
-              });
-          } else {
-              voteCounts.set(v, (voteCounts.get(v) || 0) + 1);
-              totalVotesCast++;
-          }
-      });
+      const voteCounts = this.tallyVotes(this.votes);
 
       // Update scores based on votes in this match
       const currentMatch = this.votingMatches[this.currentMatchIndex];
@@ -592,14 +1772,11 @@ class Game {
       let maxVotes = 0;
 
       // Identify candidates in this match
-      let candidates = [];
-      if (currentMatch.player1) { // Pair
-          candidates = [currentMatch.player1.id, currentMatch.player2.id];
-      } else if (currentMatch.answers) { // Thriple/Medals
-          candidates = currentMatch.answers.map(a => a.id || a.playerId);
-      } else if (currentMatch.mode === 'individual') {
-          candidates = currentMatch.answers.map(a => a.playerId);
-      }
+      const candidates = this.getMatchCandidates(currentMatch);
+      const mode = VOTING_MODES[this.getVotingMode()];
+      const rules = this.getScoringRules();
+      const { pot, quiplashBonus } = getRoundPoints(rules, this.round, this.settings.maxRounds);
+      const scoresBefore = new Map(this.players.map(p => [p.id, p.score]));
 
       // Tally
       candidates.forEach(cid => {
@@ -610,14 +1787,17 @@ class Game {
       candidates.forEach(cid => {
           const v = voteCounts.get(cid) || 0;
           if (v === maxVotes && maxVotes > 0) matchWinners.push(cid);
-          
+      });
+
+      candidates.forEach(cid => {
+          const v = voteCounts.get(cid) || 0;
           const player = this.getPlayer(cid);
           if (player) {
-              if (this.isFinalRound()) { // Round 3: Medals
-                   // 500 points per medal
-                   player.score += (v * 500); 
-              } else { // Round 1 & 2: Percentage of Pot
-                   const baseValue = this.round === 1 ? 1000 : 2000;
+              if (this.isFinalRound()) { // Final round: Medals
+                   this.awardPoints(player, v * rules.medalPoints);
+              } else { // Regular rounds: Percentage of Pot
+                   const baseValue = pot * mode.potMultiplier(candidates.length);
+                   const bonus = quiplashBonus;
                    // Calculate percent of votes IN THIS MATCH
                    const matchVotes = candidates.reduce((sum, c) => sum + (voteCounts.get(c)||0), 0);
                    
@@ -625,72 +1805,137 @@ class Game {
                        const percent = v / matchVotes;
                        let points = Math.floor(percent * baseValue);
                        
-                       // Quiplash Bonus: 100% of votes
-                       if (percent === 1.0 && matchVotes > 0) { // Ensure >0 to avoid 0/0
-                           const bonus = this.round === 1 ? 500 : 1000;
+                       if (percent === 1.0 && candidates.length > 1) {
+                           // Quiplash Bonus: 100% of votes
                            points += bonus;
+                       } else if (matchWinners.length === 1 && matchWinners[0] === cid) {
+                           // Outright winner bonus (modes with more than two answers)
+                           points += Math.floor(bonus * mode.winnerBonusShare);
                        }
-                       player.score += points;
+                       this.awardPoints(player, points);
                    }
               }
           }
       });
 
+      // Speed bonus (speed ruleset): only answers that won some votes earn it
+      const speedBonus = {};
+      candidates.forEach(cid => {
+          const player = this.getPlayer(cid);
+          const points = (voteCounts.get(cid) || 0) > 0 ? this.getAnswerSpeedBonus(cid, currentMatch.promptId) : 0;
+          if (player && points > 0) {
+              speedBonus[cid] = points;
+              this.awardPoints(player, points);
+          }
+      });
+
+      // Audience bonus: its own pot, split by each answer's share of the audience vote
+      const audienceCounts = this.tallyVotes(this.audienceVotes);
+      const audienceTotal = candidates.reduce((sum, c) => sum + (audienceCounts.get(c) || 0), 0);
+      const audienceBonus = {};
+      candidates.forEach(cid => {
+          const player = this.getPlayer(cid);
+          const count = audienceCounts.get(cid) || 0;
+          if (player && count > 0 && rules.audienceBonus > 0) {
+              audienceBonus[cid] = Math.floor(rules.audienceBonus * count / audienceTotal);
+              this.awardPoints(player, audienceBonus[cid]);
+          }
+      });
+
       // Prepare Match Result Data
       const results = {
           matchIndex: this.currentMatchIndex,
           votes: Object.fromEntries(voteCounts),
           winners: matchWinners,
+          audienceVotes: Object.fromEntries(audienceCounts),
+          audienceBonus,
+          audienceVoters: this.audienceVotes.size,
+          speedBonus,
           isFinal: this.isFinalRound()
       };
+      this.recordMatch(currentMatch, voteCounts, audienceCounts, scoresBefore);
 
+      this.state = 'results';
       if (this.emit) {
           this.emit('match-results', results);
       }
 
-      // Wait 3 seconds then next match
-      setTimeout(() => {
-          this.currentMatchIndex++;
-          this.startNextVotingMatch();
-      }, 5000); // 5s to see results
+      // Give everyone a moment to see the results, then move to the next match
+      this.startTimer('results', RESULTS_DISPLAY_TIME);
+  }
+
+  getScoringRules() {
+    return getScoringRules(this.settings.scoring);
+  }
+
+  // Speed bonus for a player's answer in the current round, from its submit timestamp
+  getAnswerSpeedBonus(playerId, promptId) {
+    const playerAnswers = this.answers.get(playerId);
+    const record = playerAnswers && (playerAnswers.get(promptId) || playerAnswers.values().next().value);
+    if (!record || !this.answerPhaseStartedAt) return 0;
+    return getSpeedBonus(this.getScoringRules(), record.timestamp - this.answerPhaseStartedAt, this.settings.answerTime * 1000);
   }
 
   completeTiebreaker() {
      const results = this.calculateTiebreakerResults();
-     if (results && this.emit) {
+     this.state = 'round-results';
+     if (this.emit) {
         this.emit('show-results', { results });
-        setTimeout(() => {
-            if (this.startNextRound()) {
-              this.emit('intermission', { round: this.round, maxRounds: this.settings.maxRounds });
-            } else {
-              this.emit('game-over', { finalScores: this.getFinalScores() });
-            }
-        }, 5000);
      }
+     this.startTimer('round-results', RESULTS_DISPLAY_TIME);
   }
 
   completeVotingPhase() {
+    this.roundScores.push({
+      round: this.round,
+      scores: this.players.map((p) => ({ id: p.id, name: p.name, score: p.score })),
+    });
+
     // Show cumulative results after all matches
     const results = {
-        scores: this.players.map((p) => ({ id: p.id, name: p.name, score: p.score })),
+        scores: this.players.map((p) => ({ id: p.id, name: p.name, score: p.score, teamId: p.teamId })),
+        teamStandings: this.getTeamStandings(),
         isFinal: this.isFinalRound()
     };
 
+    this.state = 'round-results';
     if (this.emit) {
       this.emit('show-results', { results });
+    }
+    this.startTimer('round-results', RESULTS_DISPLAY_TIME);
+  }
 
-      setTimeout(() => {
-        if (this.startNextRound()) {
-          this.emit('intermission', {
-            round: this.round,
-            maxRounds: this.settings.maxRounds,
-          });
-        } else {
-          this.emit('game-over', {
-            finalScores: this.getFinalScores(),
-          });
-        }
-      }, 5000);
+  advanceAfterRoundResults() {
+    // A tie for first is settled before the game is over, so 'finished' is only ever final
+    const tiedPlayers = this.isFinalRound() ? this.getTiedLeaders() : [];
+    // Without a prompt left for a tiebreaker the tie stands
+    if (tiedPlayers.length > 0 && this.tiebreakerRounds < MAX_TIEBREAKER_ROUNDS && this.startTiebreaker(tiedPlayers)) {
+      return;
+    }
+
+    if (this.startNextRound()) {
+      if (this.emit) {
+        this.emit('intermission', {
+          round: this.round,
+          maxRounds: this.settings.maxRounds,
+        });
+      }
+      return;
+    }
+
+    this.finishGame();
+  }
+
+  finishGame() {
+    this.state = 'finished';
+    this.finishedAt = Date.now();
+    this.persist();
+    if (this.onFinish) {
+      this.onFinish(this);
+    }
+    if (this.emit) {
+      this.emit('game-over', this.getGameOverPayload());
+      this.emit('game-recap', this.getRecap());
     }
   }
 
@@ -698,7 +1943,14 @@ class Game {
     this.clearTimer(timerName);
 
     if (timerName === 'intermission' && this.state === 'intermission') {
-      this.startAnsweringPhase();
+      if (this.waitForPrompts(() => this.handleTimerEnd('intermission'))) return;
+      const error = this.startAnsweringPhase();
+      if (error) {
+        // Rather than repeat a prompt, the game ends after the rounds already played
+        this.emitToHost('error', new ValidationError(error).toJSON());
+        this.finishGame();
+        return;
+      }
       if (this.emit) {
         this.emit('start-answering', {
           round: this.round,
@@ -706,7 +1958,7 @@ class Game {
           prompts: this.getCurrentPrompts(),
         });
       }
-    } else if (timerName === 'answer' && this.state === 'answering') {
+    } else if (timerName === 'answer' && (this.state === 'answering' || this.state === 'tiebreaker-answering')) {
       // Auto-submit random answers...
        this.players.forEach((player) => {
         const playerPrompts = this.currentPrompts.filter(p => p.playerId === player.id);
@@ -719,8 +1971,17 @@ class Game {
       });
     } else if (timerName === 'vote' && this.state === 'voting') {
       this.calculateResults();
+    } else if (timerName === 'results' && this.state === 'results') {
+      this.currentMatchIndex++;
+      this.startNextVotingMatch();
+    } else if (timerName === 'round-results' && this.state === 'round-results') {
+      this.advanceAfterRoundResults();
     } else if (timerName === 'tiebreaker' && this.state === 'tiebreaker') {
       this.completeTiebreaker();
+    } else if (timerName === 'moderation' && this.state === 'moderation') {
+      // The host didn't decide in time: play it safe and hide what's left
+      this.review.answers.forEach(({ playerId, promptId }) => this.applyReview(playerId, promptId, 'hide'));
+      this.finishModerationReview();
     }
   }
 
@@ -732,6 +1993,255 @@ class Game {
     this.timers.delete(timerName);
   }
 
+  clearAllTimers() {
+    Array.from(this.timers.keys()).forEach((timerName) => this.clearTimer(timerName));
+    this.clearBotTimers();
+  }
+
+  createTimerInterval(timerName) {
+    return setInterval(() => {
+      const timer = this.timers.get(timerName);
+      if (!timer || timer.paused) return;
+      const remaining = Math.max(0, timer.endTime - Date.now());
+      if (remaining <= 0) {
+        this.handleTimerEnd(timerName);
+      }
+    }, 1000);
+  }
+
+  getActiveTimerName() {
+    const timerName = PHASE_TIMERS[this.state];
+    return timerName && this.timers.has(timerName) ? timerName : null;
+  }
+
+  /**
+   * Snapshot of a running timer for clients. `deadline` is a server timestamp;
+   * clients use `serverTime` to correct for clock skew so countdowns survive reconnects.
+   */
+  getTimerInfo(timerName = this.getActiveTimerName()) {
+    const timer = timerName ? this.timers.get(timerName) : null;
+    if (!timer) return null;
+
+    const now = Date.now();
+    const remainingMs = timer.paused ? timer.remaining : Math.max(0, timer.endTime - now);
+    return {
+      phase: timerName,
+      duration: Math.round(timer.duration / 1000),
+      deadline: timer.paused ? null : timer.endTime,
+      remaining: Math.ceil(remainingMs / 1000),
+      paused: timer.paused,
+      serverTime: now,
+    };
+  }
+
+  emitTimerUpdate(timerName) {
+    this.persist();
+    if (this.emit) {
+      this.emit('timer-update', this.getTimerInfo(timerName));
+    }
+  }
+
+  pauseTimer() {
+    const timerName = this.getActiveTimerName();
+    const timer = timerName && this.timers.get(timerName);
+    if (!timer || timer.paused) return false;
+
+    clearInterval(timer.interval);
+    timer.interval = null;
+    timer.remaining = Math.max(0, timer.endTime - Date.now());
+    timer.paused = true;
+    this.emitTimerUpdate(timerName);
+    return true;
+  }
+
+  resumeTimer() {
+    const timerName = this.getActiveTimerName();
+    const timer = timerName && this.timers.get(timerName);
+    if (!timer || !timer.paused) return false;
+
+    timer.endTime = Date.now() + timer.remaining;
+    timer.remaining = null;
+    timer.paused = false;
+    timer.interval = this.createTimerInterval(timerName);
+    this.emitTimerUpdate(timerName);
+    return true;
+  }
+
+  extendTimer(seconds) {
+    const timerName = this.getActiveTimerName();
+    const timer = timerName && this.timers.get(timerName);
+    if (!timer || !(seconds > 0)) return false;
+
+    const extraMs = seconds * 1000;
+    if (timer.paused) {
+      timer.remaining += extraMs;
+    } else {
+      timer.endTime += extraMs;
+    }
+    timer.duration += extraMs;
+    this.emitTimerUpdate(timerName);
+    return true;
+  }
+
+  // Ends the current phase immediately, exactly as if its deadline had passed.
+  skipPhase() {
+    const timerName = this.getActiveTimerName();
+    if (!timerName) return false;
+    this.handleTimerEnd(timerName);
+    return true;
+  }
+
+  // Prompts a player still has to answer this phase (all open prompts when playerId is null)
+  getPendingPrompts(playerId = null) {
+    return this.currentPrompts.filter(p => {
+      if (playerId && p.playerId !== playerId) return false;
+      const answered = this.answers.get(p.playerId);
+      return !answered || !answered.has(p.promptId);
+    });
+  }
+
+  // Events a (re)connecting client needs to replay to catch up with the current phase
+  getCatchUpEvents(playerId = null) {
+    switch (this.state) {
+      case 'answering':
+      case 'tiebreaker-answering':
+        return [['start-answering', {
+          round: this.round,
+          maxRounds: this.settings.maxRounds,
+          // The audience watches every prompt of the round
+          prompts: this.isAudience(playerId) ? this.currentPrompts : this.getPendingPrompts(playerId),
+        }]];
+      case 'voting':
+        return [['start-voting', this.getVotingPayload()]];
+      case 'tiebreaker':
+        return [['tiebreaker-voting', this.getTiebreakerVotingPayload()]];
+      case 'moderation':
+        // Flagged answers are for the host's eyes only
+        return playerId ? [] : [['moderation-review', this.getModerationPayload()]];
+      case 'finished':
+        return [['game-over', this.getGameOverPayload()], ['game-recap', this.getRecap()]];
+      default:
+        return [];
+    }
+  }
+
+  touch() {
+    this.lastActivityAt = Date.now();
+  }
+
+  persist() {
+    this.touch();
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+
+  // Plain-JSON copy of everything needed to resume this game after a restart
+  toSnapshot() {
+    const timerName = this.getActiveTimerName();
+    const timer = timerName && this.timers.get(timerName);
+
+    return {
+      version: 1,
+      savedAt: Date.now(),
+      id: this.id,
+      playthrough: this.playthrough,
+      createdAt: this.createdAt,
+      lastActivityAt: this.lastActivityAt,
+      roomCode: this.roomCode,
+      name: this.name,
+      hostName: this.hostName,
+      hostTokenVersion: this.hostTokenVersion,
+      locked: this.locked,
+      settings: this.settings,
+      debugMode: this.debugMode,
+      botsCount: this.botsCount,
+      state: this.state,
+      round: this.round,
+      players: this.players.map(({ socketId, ...player }) => player),
+      teams: this.teams,
+      audience: this.audience.map(({ socketId, ...member }) => member),
+      prompts: this.prompts,
+      currentPrompts: this.currentPrompts,
+      answerPhaseStartedAt: this.answerPhaseStartedAt,
+      answers: Array.from(this.answers.entries()).map(([playerId, answerMap]) => [playerId, Array.from(answerMap.entries())]),
+      votes: Array.from(this.votes.entries()),
+      audienceVotes: Array.from(this.audienceVotes.entries()),
+      votingMatches: this.votingMatches,
+      currentMatchIndex: this.currentMatchIndex,
+      usedPromptIds: Array.from(this.usedPromptIds),
+      roomPromptHistory: Array.from(this.roomPromptHistory),
+      tiebreakerPlayers: this.tiebreakerPlayers,
+      tiebreakerVoters: this.tiebreakerVoters,
+      tiebreakerAnswers: this.tiebreakerAnswers,
+      tiebreakerRounds: this.tiebreakerRounds,
+      review: this.review,
+      startedAt: this.startedAt,
+      matchLog: this.matchLog,
+      roundScores: this.roundScores,
+      timer: timer ? {
+        name: timerName,
+        duration: timer.duration,
+        remaining: timer.paused ? timer.remaining : Math.max(0, timer.endTime - Date.now()),
+        paused: timer.paused,
+      } : null,
+    };
+  }
+
+  static fromSnapshot(snapshot, emitFunction = null) {
+    // `this` so subclasses (VocabGame) restore as themselves
+    const game = new this(snapshot.roomCode, snapshot.name, null, snapshot.hostName, snapshot.settings, emitFunction, snapshot.debugMode);
+    game.id = snapshot.id;
+    game.playthrough = snapshot.playthrough || 1;
+    game.createdAt = snapshot.createdAt || snapshot.savedAt;
+    // Downtime doesn't count as idling
+    game.lastActivityAt = Date.now();
+    game.botsCount = snapshot.botsCount;
+    game.hostTokenVersion = snapshot.hostTokenVersion || 0;
+    game.locked = !!snapshot.locked;
+    game.state = snapshot.state;
+    game.round = snapshot.round;
+    // Nobody is connected after a restart until they reconnect (bots never disconnect)
+    game.players = snapshot.players.map(p => ({ ...p, socketId: null, isConnected: !!p.isBot }));
+    game.teams = snapshot.teams || game.teams;
+    game.audience = (snapshot.audience || []).map(m => ({ ...m, socketId: null, isConnected: false }));
+    game.prompts = snapshot.prompts;
+    game.currentPrompts = snapshot.currentPrompts;
+    game.answerPhaseStartedAt = snapshot.answerPhaseStartedAt || null;
+    game.answers = new Map(snapshot.answers.map(([playerId, entries]) => [playerId, new Map(entries)]));
+    game.votes = new Map(snapshot.votes);
+    game.audienceVotes = new Map(snapshot.audienceVotes || []);
+    game.votingMatches = snapshot.votingMatches;
+    game.currentMatchIndex = snapshot.currentMatchIndex;
+    game.usedPromptIds = new Set(snapshot.usedPromptIds);
+    game.roomPromptHistory = new Set(snapshot.roomPromptHistory || []);
+    game.tiebreakerPlayers = snapshot.tiebreakerPlayers;
+    game.tiebreakerVoters = snapshot.tiebreakerVoters;
+    game.tiebreakerAnswers = snapshot.tiebreakerAnswers;
+    game.tiebreakerRounds = snapshot.tiebreakerRounds;
+    game.review = snapshot.review || null;
+    game.startedAt = snapshot.startedAt || null;
+    game.matchLog = snapshot.matchLog || [];
+    game.roundScores = snapshot.roundScores || [];
+    return game;
+  }
+
+  // Restart the saved phase timer. Downtime doesn't count against the phase.
+  resumeTimerFromSnapshot(savedTimer) {
+    if (!savedTimer) return;
+
+    const remaining = Math.max(savedTimer.remaining, RESTORE_GRACE_TIME * 1000);
+    const now = Date.now();
+    this.timers.set(savedTimer.name, {
+      start: now,
+      duration: Math.max(savedTimer.duration, remaining),
+      endTime: now + remaining,
+      paused: !!savedTimer.paused,
+      remaining: savedTimer.paused ? remaining : null,
+      interval: savedTimer.paused ? null : this.createTimerInterval(savedTimer.name),
+    });
+  }
+
   getState() {
     let answersSubmittedCount = 0;
     this.answers.forEach(m => answersSubmittedCount += m.size);
@@ -740,18 +2250,29 @@ class Game {
       roomCode: this.roomCode,
       name: this.name,
       state: this.state,
+      gameType: this.settings.gameType || 'party',
       round: this.round,
       maxRounds: this.settings.maxRounds,
+      votingMode: this.settings.votingMode,
+      cefrLevel: this.settings.cefrLevel || 'B1',
+      scoring: this.settings.scoring,
+      locked: this.locked,
       players: this.players.map((p) => ({
         id: p.id,
         name: p.name,
         score: p.score,
         isConnected: p.isConnected !== false,
         isBot: !!p.isBot,
+        personality: p.personality,
+        teamId: p.teamId,
       })),
+      teams: this.getTeamStandings(),
       answersSubmitted: answersSubmittedCount,
       totalPlayers: this.players.length,
-      currentPrompts: this.state === 'answering' ? this.currentPrompts : [],
+      audienceCount: this.audience.length,
+      audience: this.audience.map((m) => ({ id: m.id, name: m.name, isConnected: m.isConnected !== false })),
+      currentPrompts: this.state === 'answering' || this.state === 'tiebreaker-answering' ? this.currentPrompts : [],
+      timer: this.getTimerInfo(),
     };
   }
 
@@ -759,6 +2280,15 @@ class Game {
     return this.currentPrompts;
   }
 
+  // Sent with `game-started` once startGame() has set up the first round
+  getStartedPayload() {
+    return {
+      round: this.round,
+      maxRounds: this.settings.maxRounds,
+      prompts: this.getCurrentPrompts(),
+    };
+  }
+
   getRemainingAnswers() {
     let answersSubmittedCount = 0;
     this.answers.forEach(m => answersSubmittedCount += m.size);
@@ -766,132 +2296,280 @@ class Game {
   }
 
   getRemainingVotes() {
-    return this.players.length - this.votes.size;
+    return this.getEligibleVoters().filter(id => !this.votes.has(id)).length;
+  }
+
+  // Keep what was said and how it scored for the history transcript
+  recordMatch(match, voteCounts, audienceCounts, scoresBefore) {
+    const answers = match.player1 ? [match.player1, match.player2] : (match.answers || []);
+    this.matchLog.push({
+      round: this.round,
+      matchIndex: this.currentMatchIndex,
+      tiebreaker: match.mode === 'tiebreaker',
+      mode: match.mode || this.getVotingMode(),
+      promptText: match.promptText || '',
+      answers: answers.map((a) => {
+        const playerId = a.playerId || a.id;
+        const player = this.getPlayer(playerId);
+        const promptId = match.promptId ?? a.promptId;
+        const playerAnswers = this.answers.get(playerId);
+        const record = playerAnswers && (playerAnswers.get(promptId) || playerAnswers.values().next().value);
+        return {
+          playerId,
+          name: player ? player.name : a.name,
+          teamId: player ? player.teamId : undefined,
+          // What was shown: text the host hid or replaced stays out of the transcript
+          answer: a.answer,
+          moderation: record && record.moderation ? record.moderation.status : undefined,
+          votes: voteCounts.get(playerId) || 0,
+          audienceVotes: audienceCounts.get(playerId) || 0,
+          points: player ? player.score - (scoresBefore.get(playerId) || 0) : 0,
+          scoreAfter: player ? player.score : 0,
+        };
+      }),
+    });
+  }
+
+  // Full transcript of a finished game: who played, every match, and scores after each round
+  toHistoryRecord() {
+    const matchesPlayed = (playerId) => this.matchLog.flatMap((m) => m.answers).filter((a) => a.playerId === playerId);
+    return {
+      version: 1,
+      id: this.getHistoryId(),
+      roomCode: this.roomCode,
+      name: this.name,
+      hostName: this.hostName,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      settings: {
+        maxRounds: this.settings.maxRounds,
+        votingMode: this.getVotingMode(),
+        cefrLevel: this.settings.cefrLevel || null,
+        ageGroup: this.settings.ageGroup,
+        teamCount: this.teams.length,
+      },
+      players: this.getFinalScores().map((p) => {
+        const played = matchesPlayed(p.id);
+        return {
+          ...p,
+          isBot: !!this.getPlayer(p.id)?.isBot,
+          answers: played.length,
+          votesReceived: played.reduce((sum, a) => sum + a.votes, 0),
+          audienceVotesReceived: played.reduce((sum, a) => sum + a.audienceVotes, 0),
+          matchesWon: this.matchLog.filter((m) => {
+            const top = Math.max(...m.answers.map((a) => a.votes));
+            return top > 0 && m.answers.some((a) => a.playerId === p.id && a.votes === top);
+          }).length,
+        };
+      }),
+      teams: this.getTeamStandings().map(({ members, ...team }) => ({ ...team, members: members.map((m) => m.id) })),
+      audienceCount: this.audience.length,
+      rounds: this.roundScores,
+      matches: this.matchLog,
+    };
+  }
+
+  getGameOverPayload() {
+    return {
+      gameId: this.getHistoryId(),
+      finalScores: this.getFinalScores(),
+      teamStandings: this.getTeamStandings(),
+    };
+  }
+
+  // Answers that took every vote in a regular match (the Quiplash bonus)
+  getQuiplashes() {
+    return this.matchLog
+      .filter((m) => !m.tiebreaker && m.mode !== 'medals' && m.answers.length > 1)
+      .flatMap((m) => {
+        const total = m.answers.reduce((sum, a) => sum + a.votes, 0);
+        return m.answers
+          .filter((a) => total > 0 && a.votes === total)
+          .map((a) => ({ ...recapAnswer(a, m), votes: a.votes }));
+      });
+  }
+
+  // Largest climb from a player's worst standing after any round to their final place
+  getBiggestComeback() {
+    const finalRanks = rankById(this.getFinalScores());
+    let best = null;
+    this.roundScores.forEach(({ round, scores }) => {
+      const ranks = rankById(scores);
+      ranks.forEach((rank, playerId) => {
+        const finalRank = finalRanks.get(playerId);
+        if (!finalRank) return;
+        const climb = rank - finalRank;
+        if (climb > 0 && (!best || climb > best.climb)) {
+          best = { playerId, name: this.getPlayer(playerId)?.name, fromRank: rank, toRank: finalRank, afterRound: round, climb };
+        }
+      });
+    });
+    return best;
+  }
+
+  // Points each player gained per round (from the scores recorded after every round)
+  getRoundDeltas() {
+    const previous = new Map();
+    return this.roundScores.map(({ round, scores }) => {
+      const deltas = scores.map((s) => {
+        const delta = s.score - (previous.get(s.id) || 0);
+        previous.set(s.id, s.score);
+        return { id: s.id, name: s.name, delta, score: s.score };
+      });
+      return { round, deltas: deltas.sort((a, b) => b.delta - a.delta) };
+    });
+  }
+
+  /**
+   * End-of-game highlights for the `game-recap` event: the best answer, every Quiplash,
+   * the biggest comeback, per-round score deltas, awards and a summary per player.
+   */
+  getRecap() {
+    const answers = this.matchLog.flatMap((m) => m.answers.map((a) => ({ ...recapAnswer(a, m), votes: a.votes, points: a.points })));
+    const byVotes = [...answers].sort((a, b) => b.votes - a.votes || b.points - a.points);
+    const bestAnswer = byVotes[0] && byVotes[0].votes > 0 ? byVotes[0] : null;
+    const quiplashes = this.getQuiplashes();
+    const biggestComeback = this.getBiggestComeback();
+    const rounds = this.getRoundDeltas();
+    const finalScores = this.getFinalScores();
+    const finalRanks = rankById(finalScores);
+
+    const stats = new Map(finalScores.map((p) => [p.id, {
+      id: p.id,
+      name: p.name,
+      score: p.score,
+      rank: finalRanks.get(p.id),
+      votesReceived: 0,
+      audienceVotesReceived: 0,
+      quiplashes: quiplashes.filter((q) => q.playerId === p.id).length,
+      bestRound: null,
+      bestAnswer: null,
+      awards: [],
+    }]));
+    this.matchLog.forEach((m) => m.answers.forEach((a) => {
+      const player = stats.get(a.playerId);
+      if (!player) return;
+      player.votesReceived += a.votes;
+      player.audienceVotesReceived += a.audienceVotes || 0;
+      if (!player.bestAnswer || a.votes > player.bestAnswer.votes) {
+        player.bestAnswer = { ...recapAnswer(a, m), votes: a.votes };
+      }
+    }));
+    rounds.forEach(({ round, deltas }) => deltas.forEach((d) => {
+      const player = stats.get(d.id);
+      if (player && (!player.bestRound || d.delta > player.bestRound.delta)) {
+        player.bestRound = { round, delta: d.delta };
+      }
+    }));
+
+    // Each award goes to the (first) player with the highest positive value
+    const awards = [];
+    const give = (award, title, description, valueOf) => {
+      const top = [...stats.values()].sort((a, b) => valueOf(b) - valueOf(a))[0];
+      if (top && valueOf(top) > 0) {
+        awards.push({ award, title, description, playerId: top.id, name: top.name });
+        top.awards.push(title);
+      }
+    };
+    give('top-scorer', 'Top Scorer', 'Most points overall', (p) => p.score);
+    give('crowd-favourite', 'Crowd Favourite', 'Most votes received', (p) => p.votesReceived);
+    give('quiplash-master', 'Quiplash Master', 'Most answers that took every vote', (p) => p.quiplashes);
+    give('audience-darling', 'Audience Darling', 'Most audience votes', (p) => p.audienceVotesReceived);
+    give('hot-streak', 'Hot Streak', 'Biggest single-round haul', (p) => (p.bestRound ? p.bestRound.delta : 0));
+    if (biggestComeback && stats.has(biggestComeback.playerId)) {
+      const player = stats.get(biggestComeback.playerId);
+      awards.push({ award: 'comeback', title: 'Comeback Kid', description: `Climbed from #${biggestComeback.fromRank} to #${biggestComeback.toRank}`, playerId: player.id, name: player.name });
+      player.awards.push('Comeback Kid');
+    }
+    // Nobody leaves empty-handed
+    stats.forEach((player) => {
+      if (player.awards.length === 0) {
+        awards.push({ award: 'good-sport', title: 'Good Sport', description: 'Played every round', playerId: player.id, name: player.name });
+        player.awards.push('Good Sport');
+      }
+    });
+
+    return {
+      gameId: this.getHistoryId(),
+      bestAnswer,
+      quiplashes,
+      biggestComeback,
+      rounds,
+      awards,
+      players: [...stats.values()],
+      teamStandings: this.getTeamStandings(),
+    };
   }
 
   getFinalScores() {
     return this.players
-      .map((p) => ({ name: p.name, score: p.score }))
+      .map((p) => ({ id: p.id, name: p.name, score: p.score, teamId: p.teamId }))
       .sort((a, b) => b.score - a.score);
   }
 }
 
 module.exports = GameManager;
+module.exports.Game = Game;
 
-// --- Bot answer generation helpers ---
+// Vocabulary games (settings.gameType 'vocab') run on VocabGame, a Game subclass. Required here
+// rather than at the top because vocabGame.js requires this module for Game.
+function gameClassFor(settings = {}) {
+  return settings.gameType === 'vocab' ? require('./vocabGame') : Game;
+}
 
-async function generateBotAnswer(prompt, cefrLevel = 'B1') {
-  try {
-    const payload = JSON.stringify({
-      model: 'llama3.2:3b',
-      prompt: `Generate a short, funny answer to this prompt: "${prompt}". Use vocabulary appropriate for CEFR level ${cefrLevel}. Keep it under 50 characters.`,
-      stream: false,
-    });
+// --- Recap helpers ---
 
-    const options = {
-      hostname: 'localhost',
-      port: 11434,
-      path: '/api/generate',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(payload),
-      },
-    };
+function recapAnswer(answer, match) {
+  return {
+    playerId: answer.playerId,
+    name: answer.name,
+    answer: answer.answer,
+    promptText: match.promptText,
+    round: match.round,
+  };
+}
 
-    const response = await new Promise((resolve, reject) => {
-      const req = http.request(options, (res) => {
-        let body = '';
-        res.on('data', (chunk) => body += chunk.toString());
-        res.on('end', () => {
-          try {
-            const json = JSON.parse(body);
-            if (json && typeof json.response === 'string') {
-              resolve(json.response.trim());
-            } else {
-              reject(new Error('Unexpected AI response shape.'));
-            }
-          } catch (err) {
-            reject(err);
-          }
-        });
-      });
-      req.on('error', reject);
-      req.setTimeout(5000, () => {
-        req.destroy();
-        reject(new Error('Bot answer AI request timeout'));
-      });
-      req.write(payload);
-      req.end();
-    });
+// playerId -> 1-based place; players on equal scores share a place
+function rankById(scores) {
+  const sorted = [...scores].sort((a, b) => b.score - a.score);
+  const ranks = new Map();
+  sorted.forEach((p, i) => {
+    ranks.set(p.id, i > 0 && p.score === sorted[i - 1].score ? ranks.get(sorted[i - 1].id) : i + 1);
+  });
+  return ranks;
+}
+
+// --- Prompt helpers ---
+
+function promptKey(prompt) {
+  return prompt.text.trim().toLowerCase();
+}
+
+// --- Player removal helpers ---
 
-    return response || 'Funny answer!';
-  } catch (err) {
-    console.error('Failed to generate bot answer:', err);
-    return 'Funny answer!';
+// Takes a removed player's answer out of an upcoming match; returns false if the match
+// can no longer be played (a head-to-head without its opponent, or nobody left to beat)
+function withoutPlayer(match, playerId) {
+  if (match.player1) {
+    return match.player1.id !== playerId && match.player2.id !== playerId;
   }
+  const answers = match.answers || [];
+  match.answers = answers.filter((a) => (a.playerId || a.id) !== playerId);
+  return match.answers.length >= Math.min(2, answers.length);
 }
 
 // --- Local AI integration helpers ---
 
 /**
- * Ask the local LLaMA model ("llama3.2:3b") to generate a list of prompts at the specified CEFR level.
+ * Ask the configured LLM provider to generate a list of prompts at the specified CEFR level.
  *
  * Expected behavior: the model should return either a JSON array of strings,
  * or a newline-separated list of prompts. The Game class will normalize the
  * result in loadPromptsFromAIIfNeeded().
  */
-function fetchPromptsFromLocalAI(cefrLevel = 'B1') {
-  const payload = JSON.stringify({
-    model: 'llama3.2:3b',
-    prompt:
-      `Generate 50 absurd, hilarious Quiplash-style prompts. Each must be a short, ridiculous fill-in-the-blank question or statement ending with '______' for players to fill in, like 'The worst ice cream flavor: ______' or 'A terrible name for a cat: ______'. Make them funny and over-the-top. Use vocabulary appropriate for CEFR level ${cefrLevel}. Return ONLY a valid JSON array of strings, e.g., ["prompt1", "prompt2"]. No extra text or explanations.`,
-    stream: false,
-  });
-
-  const options = {
-    hostname: 'localhost',
-    port: 11434,
-    path: '/api/generate',
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(payload),
-    },
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = http.request(options, (res) => {
-      let body = '';
-
-      res.on('data', (chunk) => {
-        body += chunk.toString();
-      });
-
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(body);
-          if (json && typeof json.response === 'string') {
-            resolve(json.response.trim());
-          } else {
-            reject(new Error('Unexpected response shape from local AI.'));
-          }
-        } catch (err) {
-          reject(err);
-        }
-      });
-    });
-
-    req.on('error', (err) => {
-      reject(err);
-    });
-
-    req.setTimeout(10000, () => {
-      req.destroy();
-      reject(new Error('AI request timeout after 10 seconds'));
-    });
-
-    req.write(payload);
-    req.end();
-  });
-}
\ No newline at end of file
+function fetchPromptsFromLocalAI(llm, cefrLevel = 'B1') {
+  return llm.generate(
+    `Generate 50 absurd, hilarious Quiplash-style prompts. Each must be a short, ridiculous fill-in-the-blank question or statement ending with '______' for players to fill in, like 'The worst ice cream flavor: ______' or 'A terrible name for a cat: ______'. Make them funny and over-the-top. Use vocabulary appropriate for CEFR level ${cefrLevel}. Return ONLY a valid JSON array of strings, e.g., ["prompt1", "prompt2"]. No extra text or explanations.`,
+    { task: 'prompts' }
+  );
+}
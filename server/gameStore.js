@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = process.env.GAME_DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Keeps one JSON snapshot per room in `<dataDir>/games/<roomCode>.json` so in-progress
+ * games survive a server restart. Writes go through a temp file + rename, so a crash
+ * mid-write leaves the previous snapshot intact.
+ */
+class FileGameStore {
+  constructor(dataDir = DEFAULT_DATA_DIR) {
+    this.dir = path.join(dataDir, 'games');
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  save(snapshot) {
+    const filePath = this.filePath(snapshot.roomCode);
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      console.error(`Failed to save game ${snapshot.roomCode}:`, err.message);
+    }
+  }
+
+  remove(roomCode) {
+    try {
+      fs.rmSync(this.filePath(roomCode), { force: true });
+    } catch (err) {
+      console.error(`Failed to remove saved game ${roomCode}:`, err.message);
+    }
+  }
+
+  loadAll() {
+    return fs.readdirSync(this.dir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        } catch (err) {
+          console.error(`Skipping unreadable saved game ${file}:`, err.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  filePath(roomCode) {
+    // Room codes are 4 uppercase letters; never let one escape the directory
+    return path.join(this.dir, `${String(roomCode).replace(/[^A-Z0-9]/gi, '')}.json`);
+  }
+}
+
+module.exports = {
+  FileGameStore,
+  DEFAULT_DATA_DIR,
+};
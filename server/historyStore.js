@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_DATA_DIR } = require('./gameStore');
+
+// Columns of the CSV export: one row per answer
+const CSV_COLUMNS = [
+  ['round', (row) => row.round],
+  ['match', (row) => row.match],
+  ['mode', (row) => row.mode],
+  ['prompt', (row) => row.prompt],
+  ['player', (row) => row.player],
+  ['team', (row) => row.team],
+  ['answer', (row) => row.answer],
+  ['moderation', (row) => row.moderation],
+  ['votes', (row) => row.votes],
+  ['audience_votes', (row) => row.audienceVotes],
+  ['points', (row) => row.points],
+  ['score_after', (row) => row.scoreAfter],
+];
+
+/**
+ * Keeps a transcript of every finished game in `<dataDir>/history/<gameId>.json`, so
+ * teachers can go through what was written after class. Records are built by
+ * `Game.toHistoryRecord()` and never change once saved.
+ */
+class FileHistoryStore {
+  constructor(dataDir = DEFAULT_DATA_DIR) {
+    this.dir = path.join(dataDir, 'history');
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  save(record) {
+    try {
+      fs.writeFileSync(this.filePath(record.id), JSON.stringify(record, null, 2));
+    } catch (err) {
+      console.error(`Failed to save history for game ${record.roomCode}:`, err.message);
+    }
+  }
+
+  // One-line summaries, newest first
+  list() {
+    return fs.readdirSync(this.dir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => this.read(path.join(this.dir, file)))
+      .filter(Boolean)
+      .map(({ id, roomCode, name, hostName, startedAt, finishedAt, rounds, players, teams }) => ({
+        id,
+        roomCode,
+        name,
+        hostName,
+        startedAt,
+        finishedAt,
+        rounds: rounds.length,
+        players: players.map((p) => ({ id: p.id, name: p.name, score: p.score })),
+        winner: (teams.length > 0 ? teams : players)[0]?.name || null,
+      }))
+      .sort((a, b) => b.finishedAt - a.finishedAt);
+  }
+
+  get(gameId) {
+    const record = this.read(this.filePath(gameId));
+    return record && withoutHiddenAnswers(record);
+  }
+
+  read(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Skipping unreadable history file ${filePath}:`, err.message);
+      }
+      return null;
+    }
+  }
+
+  filePath(gameId) {
+    // Game ids are UUIDs; never let one escape the directory
+    return path.join(this.dir, `${String(gameId).replace(/[^a-z0-9-]/gi, '')}.json`);
+  }
+}
+
+// Flatten a history record into CSV, one row per answer
+function historyToCsv(record) {
+  const teamNames = new Map(record.teams.map((t) => [t.id, t.name]));
+  const rows = record.matches.flatMap((match) => match.answers.map((answer) => ({
+    round: match.round,
+    match: match.tiebreaker ? 'tiebreaker' : match.matchIndex + 1,
+    mode: match.mode,
+    prompt: match.promptText,
+    player: answer.name,
+    team: teamNames.get(answer.teamId) || '',
+    answer: answer.answer,
+    moderation: answer.moderation || '',
+    votes: answer.votes,
+    audienceVotes: answer.audienceVotes || 0,
+    points: answer.points,
+    scoreAfter: answer.scoreAfter,
+  })));
+
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  rows.forEach((row) => lines.push(CSV_COLUMNS.map(([, get]) => csvField(get(row))).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  FileHistoryStore,
+  historyToCsv,
+};
+
+// Transcripts saved by older versions kept the text of answers the host hid
+function withoutHiddenAnswers(record) {
+  return {
+    ...record,
+    matches: record.matches.map((match) => ({
+      ...match,
+      answers: match.answers.map(({ originalAnswer, ...answer }) => answer),
+    })),
+  };
+}
+
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Answers are player input: keep spreadsheets from running them as formulas
+  if (/^[=+\-@]/.test(text) && typeof value === 'string') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -1,9 +1,18 @@
+require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const os = require('os');
+const path = require('path');
 const { spawn } = require('child_process');
 const { Server } = require('socket.io');
 const GameManager = require('./gameManager');
+const VocabGame = require('./vocabGame');
+const { FileGameStore } = require('./gameStore');
+const { FileHistoryStore, historyToCsv } = require('./historyStore');
+const { SessionTokens } = require('./sessionTokens');
+const { ERROR_CODES, ValidationError, validatePayload, checkGameState } = require('./validation');
+const { listPromptPacks } = require('./promptPacks');
 
 function getLanIPv4Addresses() {
   const nets = os.networkInterfaces();
@@ -22,267 +31,681 @@ function getLanIPv4Addresses() {
   return [...new Set(ips)];
 }
 
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"],
-  },
-  // Enable WebSocket fallbacks
-  transports: ['websocket', 'polling'],
-});
-
-const gameManager = new GameManager();
-
-// Serve static files
-app.use(express.static('../public'));
-app.use(express.json());
-
-// Serve hostdebug.html
-app.get('/hostdebug.html', (req, res) => {
-  res.sendFile(path.join(__dirname, '../public/hostdebug.html'));
-});
-
-// Redirect root to player.html for easier access
-app.get('/', (req, res) => {
-  res.redirect('/player.html');
-});
-
-// Game state API (optional)
-app.get('/api/game/:roomCode', (req, res) => {
-  const game = gameManager.getGame(req.params.roomCode);
-  res.json(game ? game.getState() : { error: 'Game not found' });
-});
-
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-
-  // Host creates a new game (host does not play)
-  socket.on('create-game', ({ playerName, gameName, maxRounds, votingMode, cefrLevel, debug = false }) => {
-    const settings = {};
-    if (maxRounds) settings.maxRounds = maxRounds;
-    if (votingMode) settings.votingMode = votingMode;
-    if (cefrLevel) settings.cefrLevel = cefrLevel;
-    const roomCode = gameManager.createGame(gameName, socket.id, playerName, settings, (event, data) => io.to(roomCode).emit(event, data), debug);
-
-    socket.join(roomCode);
-    const lanIps = getLanIPv4Addresses();
-    const joinUrl = lanIps.length > 0 ? `http://${lanIps[0]}:${PORT}/player.html?room=${roomCode}` : `http://localhost:${PORT}/player.html?room=${roomCode}`;
-    socket.emit('game-created', {
-      roomCode,
-      joinUrl,
-      gameState: gameManager.getGame(roomCode).getState(),
-    });
+const PORT = process.env.PORT || 3000;
 
-    console.log(`Game created: ${roomCode} by host ${playerName} (debug: ${debug})`);
+/**
+ * Build the Express app, socket.io server and game manager without listening, so tests can
+ * start as many servers as they like. Options override the env-configured defaults:
+ *   dataDir (saved games, history and session secret), llm, sessionSecret, maxRooms
+ * Returns { app, server, io, gameManager, restoredGames, close }.
+ */
+function createGameServer(options = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server, {
+    cors: {
+      origin: "*",
+      methods: ["GET", "POST"],
+    },
+    // Enable WebSocket fallbacks
+    transports: ['websocket', 'polling'],
   });
 
-  // Player joins existing game
-  socket.on('join-game', ({ roomCode, playerName }) => {
-    const game = gameManager.getGame(roomCode);
+  const historyStore = new FileHistoryStore(options.dataDir);
+  const gameManager = new GameManager({
+    llm: options.llm,
+    store: new FileGameStore(options.dataDir),
+    history: historyStore,
+    maxRooms: options.maxRooms || Number(process.env.MAX_ROOMS) || undefined,
+    idleRoomTtl: Number(process.env.ROOM_IDLE_MINUTES) * 60 * 1000 || undefined,
+    finishedRoomTtl: Number(process.env.ROOM_FINISHED_MINUTES) * 60 * 1000 || undefined,
+    // Tell everyone still in a closed room, then drop the socket.io room so a new game can reuse the code
+    onRoomClosed: (roomCode, reason) => {
+      io.to(roomCode).emit('room-closed', { roomCode, reason });
+      io.in(roomCode).socketsLeave(roomCode);
+    },
+  });
+  const sessionTokens = new SessionTokens(options.sessionSecret, options.dataDir);
+
+  // Game emit function: to the whole room, or to one socket (e.g. the host) when `socketId` is given
+  function emitToRoom(roomCode) {
+    return (event, data, socketId) => io.to(socketId || roomCode).emit(event, data);
+  }
+
+  // Bring back games that were in progress when the server last stopped
+  const restoredGames = gameManager.restoreGames(emitToRoom);
+  gameManager.startCleanup();
+
+  // Every client event goes through here: the payload is schema-checked before the handler
+  // runs, and any ValidationError the handler throws reaches the client as `error { code, message }`.
+  function handleEvent(socket, event, handler) {
+    socket.on(event, async (payload) => {
+      try {
+        await handler(validatePayload(event, payload));
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          socket.emit('error', err.toJSON());
+        } else {
+          console.error(`Error handling ${event}:`, err);
+          socket.emit('error', new ValidationError(ERROR_CODES.ACTION_FAILED).toJSON());
+        }
+      }
+    });
+  }
 
+  // The game for an event, checked to be in a state where the event makes sense
+  function getGameFor(event, roomCode) {
+    const game = gameManager.getGame(roomCode);
     if (!game) {
-      socket.emit('error', { message: 'Game not found' });
-      return;
+      throw new ValidationError(ERROR_CODES.GAME_NOT_FOUND);
     }
+    checkGameState(event, game);
+    return game;
+  }
 
-    if (game.players.length >= 8) {
-      // Max players
-      socket.emit('error', { message: 'Game is full' });
-      return;
+  // Host-only events must carry the host token issued in `game-created`
+  function requireHost(game, hostToken, action) {
+    if (!sessionTokens.verifyHost(hostToken, game)) {
+      throw new ValidationError(ERROR_CODES.HOST_AUTH_FAILED, `Only the host can ${action}.`);
     }
+  }
 
-    const player = gameManager.addPlayer(roomCode, playerName, socket.id);
-    socket.join(roomCode);
+  // Players may only act for the player slot bound to their own socket
+  function requirePlayer(socket, roomCode, playerId) {
+    const info = gameManager.getPlayerInfo(socket.id);
+    if (!info || info.roomCode !== roomCode || info.playerId !== playerId) {
+      throw new ValidationError(ERROR_CODES.NOT_YOUR_PLAYER);
+    }
+  }
 
-    // Notify the joiner
-    socket.emit('joined-game', {
-      playerId: player.id,
-      gameState: game.getState(),
-    });
+  // Serve static files
+  app.use(express.static(path.join(__dirname, '../public')));
+  app.use(express.json());
 
-    // Notify everyone in the room
-    io.to(roomCode).emit('player-joined', {
-      player,
-      gameState: game.getState(),
-    });
+  // Serve hostdebug.html
+  app.get('/hostdebug.html', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/hostdebug.html'));
   });
 
-  // Player submits answer
-  socket.on('submit-answer', ({ roomCode, playerId, promptId, answer }) => {
-    const game = gameManager.getGame(roomCode);
-    if (!game) return;
-
-    game.submitAnswer(playerId, promptId, answer);
+  // Redirect root to player.html for easier access
+  app.get('/', (req, res) => {
+    res.redirect('/player.html');
+  });
 
-    // Broadcast to all players that someone answered
-    io.to(roomCode).emit('answer-submitted', {
-      playerId,
-      answersRemaining: game.getRemainingAnswers(),
-    });
+  // Game state API (optional)
+  app.get('/api/game/:roomCode', (req, res) => {
+    const game = gameManager.getGame(req.params.roomCode);
+    res.json(game ? game.getState() : { error: 'Game not found' });
   });
 
-  // Player submits vote
-  socket.on('submit-vote', ({ roomCode, playerId, voteId }) => {
-    const game = gameManager.getGame(roomCode);
-    if (!game) return;
+  // Admin routes take `Authorization: Bearer <ADMIN_TOKEN>`
+  function isAdminRequest(req) {
+    return isAdminToken(bearerToken(req));
+  }
 
-    game.submitVote(playerId, voteId);
+  function isAdminToken(token) {
+    const expected = Buffer.from(process.env.ADMIN_TOKEN || '');
+    const given = Buffer.from(token);
+    return expected.length > 0 && expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
 
-    io.to(roomCode).emit('vote-submitted', {
-      playerId,
-      votesRemaining: game.getRemainingVotes(),
-    });
-  });
+  function bearerToken(req) {
+    return (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  }
 
-  // Add bot to game
-  socket.on('add-bot', ({ roomCode }) => {
-    const game = gameManager.getGame(roomCode);
-    if (!game) return;
+  // Transcripts hold students' writing, so only the admin or the game's host may read them.
+  // The token comes as a bearer token, or as `?token=` so download links work.
+  function historyReader(req) {
+    const token = bearerToken(req) || String(req.query.token || '');
+    if (isAdminToken(token)) return { admin: true };
+    const claims = sessionTokens.verify(token);
+    return claims && claims.role === 'host' ? { gameId: claims.gameId } : null;
+  }
 
-    // Only host can add bots
-    if (socket.id !== game.hostSocketId) {
-      socket.emit('error', { message: 'Only the host can add bots.' });
-      return;
+  // Play-again records are saved as `<gameId>-2`, ... and belong to the same host
+  function canReadHistory(reader, historyId) {
+    return reader.admin || historyId === reader.gameId || historyId.startsWith(`${reader.gameId}-`);
+  }
+
+  function readHistory(req, res) {
+    const reader = historyReader(req);
+    if (!reader) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return null;
+    }
+    const record = historyStore.get(req.params.gameId);
+    if (!record || !canReadHistory(reader, record.id)) {
+      res.status(404).json({ error: 'Game not found' });
+      return null;
     }
+    return record;
+  }
 
-    console.log('Adding bot to room', roomCode, 'current players:', game.players.length);
-    const bot = game.addBot();
-    if (!bot) {
-      socket.emit('error', { message: 'Cannot add more bots.' });
-      return;
+  // Finished games, newest first
+  app.get('/api/history', (req, res) => {
+    const reader = historyReader(req);
+    if (!reader) {
+      return res.status(401).json({ error: 'Unauthorized' });
     }
+    res.json(historyStore.list().filter((game) => canReadHistory(reader, game.id)));
+  });
 
-    // Notify everyone in the room
-    io.to(roomCode).emit('bot-added', {
-      bot,
-      gameState: game.getState(),
-    });
+  // Full transcript of one finished game
+  app.get('/api/history/:gameId', (req, res) => {
+    const record = readHistory(req, res);
+    if (record) {
+      res.json(record);
+    }
   });
 
-  // Remove bot from game
-  socket.on('remove-bot', ({ roomCode }) => {
-    const game = gameManager.getGame(roomCode);
-    if (!game) return;
+  // Download a finished game as CSV (one row per answer) or JSON
+  app.get('/api/history/:gameId/export', (req, res) => {
+    const record = readHistory(req, res);
+    if (!record) return;
+
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const date = new Date(record.finishedAt).toISOString().slice(0, 10);
+    res.attachment(`game-${record.roomCode}-${date}.${format}`);
+    if (format === 'json') {
+      res.type('application/json').send(JSON.stringify(record, null, 2));
+    } else {
+      res.type('text/csv').send(historyToCsv(record));
+    }
+  });
 
-    // Only host can remove bots
-    if (socket.id !== game.hostSocketId) {
-      socket.emit('error', { message: 'Only the host can remove bots.' });
-      return;
+  // Active rooms with their state and age. Disabled unless ADMIN_TOKEN is set.
+  app.get('/api/admin/rooms', (req, res) => {
+    if (!process.env.ADMIN_TOKEN) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (!isAdminRequest(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
     }
+    res.json({
+      maxRooms: gameManager.maxRooms,
+      rooms: gameManager.listRooms(),
+    });
+  });
 
-    game.removeBot();
+  // Prompt packs available for the host's pack selector
+  app.get('/api/prompt-packs', (req, res) => {
+    res.json(listPromptPacks(gameManager.promptPacks));
+  });
+
+  // Socket.IO connection handling
+  io.on('connection', (socket) => {
+    console.log('Client connected:', socket.id);
+
+    // Host creates a new game (host does not play)
+    handleEvent(socket, 'create-game', ({ playerName, gameName, gameType, vocabWords, wordsPerRound, maxRounds, votingMode, cefrLevel, answerTime, voteTime, promptPacks, aiPrompts, familyMode, ageGroup, llmModeration, teamCount, scoring, fillWithBots, debug = false }) => {
+      const settings = {};
+      if (gameType === 'vocab') {
+        if (!vocabWords || vocabWords.length < VocabGame.MIN_WORDS) {
+          throw new ValidationError(ERROR_CODES.NOT_ENOUGH_WORDS);
+        }
+        Object.assign(settings, { gameType, vocabWords });
+        if (wordsPerRound) settings.wordsPerRound = wordsPerRound;
+      }
+      if (maxRounds) settings.maxRounds = maxRounds;
+      if (votingMode) settings.votingMode = votingMode;
+      if (cefrLevel) settings.cefrLevel = cefrLevel;
+      if (answerTime) settings.answerTime = answerTime;
+      if (voteTime) settings.voteTime = voteTime;
+      if (promptPacks) settings.promptPacks = promptPacks;
+      if (aiPrompts === false) settings.aiPrompts = false;
+      if (familyMode) settings.familyMode = true;
+      if (ageGroup) settings.ageGroup = ageGroup;
+      if (llmModeration) settings.llmModeration = true;
+      if (teamCount) settings.teamCount = teamCount;
+      if (scoring) settings.scoring = scoring;
+      if (fillWithBots) settings.fillWithBots = fillWithBots;
+      const roomCode = gameManager.createGame(gameName, socket.id, playerName, settings, (event, data, socketId) => io.to(socketId || roomCode).emit(event, data), debug);
+      if (!roomCode) {
+        throw new ValidationError(ERROR_CODES.SERVER_FULL);
+      }
+
+      const game = gameManager.getGame(roomCode);
+      socket.join(roomCode);
+      const lanIps = getLanIPv4Addresses();
+      const joinUrl = lanIps.length > 0 ? `http://${lanIps[0]}:${PORT}/player.html?room=${roomCode}` : `http://localhost:${PORT}/player.html?room=${roomCode}`;
+      socket.emit('game-created', {
+        roomCode,
+        joinUrl,
+        hostToken: sessionTokens.issueHostToken(game),
+        gameState: game.getState(),
+      });
 
-    // Notify everyone in the room
-    io.to(roomCode).emit('bot-removed', {
-      gameState: game.getState(),
+      console.log(`Game created: ${roomCode} by host ${playerName} (debug: ${debug})`);
     });
-  });
 
-  // Host starts the game once enough players have joined
-  socket.on('start-game', async ({ roomCode }) => {
-    const game = gameManager.getGame(roomCode);
-    if (!game) return;
+    // Player joins existing game, or rejoins their own slot with the token from `joined-game`
+    handleEvent(socket, 'join-game', ({ roomCode, playerName, playerToken, asAudience }) => {
+      const game = getGameFor('join-game', roomCode);
+
+      let player;
+      if (playerToken) {
+        const playerId = sessionTokens.verifyPlayer(playerToken, game);
+        player = playerId && gameManager.reconnectPlayer(roomCode, playerId, socket.id);
+        if (!player) {
+          throw new ValidationError(ERROR_CODES.INVALID_SESSION);
+        }
+      } else {
+        // A locked room still lets its own players back in (above), but nobody new
+        if (game.locked) {
+          throw new ValidationError(ERROR_CODES.ROOM_LOCKED);
+        }
+
+        // Names are no longer proof of identity, so they must be unique
+        if (game.isNameTaken(playerName)) {
+          throw new ValidationError(ERROR_CODES.NAME_TAKEN);
+        }
+
+        // Full rooms and games already under way still take spectators
+        if (asAudience || game.isFull() || game.state !== 'waiting') {
+          player = gameManager.addAudienceMember(roomCode, playerName, socket.id);
+        } else {
+          player = gameManager.addPlayer(roomCode, playerName, socket.id);
+        }
+      }
+      socket.join(roomCode);
+
+      // Notify the joiner
+      socket.emit('joined-game', {
+        playerId: player.id,
+        playerToken: sessionTokens.issuePlayerToken(game, player.id),
+        role: player.isAudience ? 'audience' : 'player',
+        gameState: game.getState(),
+      });
 
-    // Only host can start the game
-    if (socket.id !== game.hostSocketId) {
-      socket.emit('error', { message: 'Only the host can start the game.' });
-      return;
-    }
+      // A player rejoining mid-game needs the current phase replayed
+      game.getCatchUpEvents(player.id).forEach(([event, data]) => socket.emit(event, data));
 
-    console.log('Start game requested for', roomCode, 'players:', game.players.length, 'debug:', game.debugMode);
-    // Require at least 2 players (not counting host), or 1 in debug mode
-    if (game.players.length < (game.debugMode ? 1 : 2)) {
-      socket.emit('error', { message: `At least ${game.debugMode ? 1 : 2} player(s) are required to start the game.` });
-      return;
-    }
+      // Notify everyone in the room
+      io.to(roomCode).emit(player.isAudience ? 'audience-joined' : 'player-joined', {
+        player,
+        gameState: game.getState(),
+      });
+    });
 
-    try {
-      await game.startGame();
-      io.to(roomCode).emit('game-started', {
-        round: game.round,
-        maxRounds: game.settings.maxRounds,
-        prompts: game.getCurrentPrompts(),
+    // Player submits answer
+    handleEvent(socket, 'submit-answer', ({ roomCode, playerId, promptId, answer }) => {
+      const game = getGameFor('submit-answer', roomCode);
+      requirePlayer(socket, roomCode, playerId);
+
+      const error = game.submitAnswer(playerId, promptId, answer);
+      if (error) throw new ValidationError(error);
+
+      // Broadcast to all players that someone answered
+      io.to(roomCode).emit('answer-submitted', {
+        playerId,
+        answersRemaining: game.getRemainingAnswers(),
       });
-    } catch (err) {
-      console.error('Failed to start game with AI-generated prompts:', err);
-      socket.emit('error', { message: 'Failed to start game. Please try again.' });
-    }
-  });
+    });
 
-  // Host reconnects
-  socket.on('host-reconnect', ({ roomCode }) => {
-    const game = gameManager.getGame(roomCode);
-    if (!game) {
-      socket.emit('error', { message: 'Game not found' });
-      return;
-    }
+    // Player submits vote
+    handleEvent(socket, 'submit-vote', ({ roomCode, playerId, voteId }) => {
+      const game = getGameFor('submit-vote', roomCode);
+      requirePlayer(socket, roomCode, playerId);
 
-    // Update host socket ID
-    game.hostSocketId = socket.id;
-    socket.join(roomCode);
+      const error = game.submitVote(playerId, voteId);
+      if (error) throw new ValidationError(error);
 
-    const lanIps = getLanIPv4Addresses();
-    const joinUrl = lanIps.length > 0 ? `http://${lanIps[0]}:${PORT}/player.html?room=${roomCode}` : `http://localhost:${PORT}/player.html?room=${roomCode}`;
-    
-    socket.emit('game-created', {
-      roomCode,
-      joinUrl,
-      gameState: game.getState(),
+      if (game.isAudience(playerId)) {
+        io.to(roomCode).emit('audience-vote-submitted', {
+          audienceVotes: game.audienceVotes.size,
+          audienceCount: game.audience.length,
+        });
+        return;
+      }
+
+      io.to(roomCode).emit('vote-submitted', {
+        playerId,
+        votesRemaining: game.getRemainingVotes(),
+      });
     });
-    
-    console.log(`Host reconnected to room ${roomCode}`);
-  });
 
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-    gameManager.handleDisconnect(socket.id);
-  });
-});
+    // Player pairs a definition with a word in a vocabulary game; the game answers them in `match-checked`
+    handleEvent(socket, 'submit-match', ({ roomCode, playerId, definitionId, word }) => {
+      const game = getGameFor('submit-match', roomCode);
+      requirePlayer(socket, roomCode, playerId);
+      if (!(game instanceof VocabGame)) throw new ValidationError(ERROR_CODES.WRONG_STATE);
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  const lanIps = getLanIPv4Addresses();
+      const error = game.submitMatch(playerId, definitionId, word);
+      if (error) throw new ValidationError(error);
+    });
 
-  console.log(`Server running on http://localhost:${PORT}`);
-  for (const ip of lanIps) {
-    console.log(`Server running on http://${ip}:${PORT}/player.html`);
-  }
+    // Add bot to game
+    handleEvent(socket, 'add-bot', ({ roomCode, hostToken }) => {
+      const game = getGameFor('add-bot', roomCode);
+
+      // Only host can add bots
+      requireHost(game, hostToken, 'add bots');
+
+      console.log('Adding bot to room', roomCode, 'current players:', game.players.length);
+      const bot = game.addBot();
+      if (!bot) {
+        throw new ValidationError(ERROR_CODES.GAME_FULL, 'Cannot add more bots.');
+      }
+
+      // Notify everyone in the room
+      io.to(roomCode).emit('bot-added', {
+        bot,
+        gameState: game.getState(),
+      });
+    });
+
+    // Remove bot from game
+    handleEvent(socket, 'remove-bot', ({ roomCode, hostToken }) => {
+      const game = getGameFor('remove-bot', roomCode);
+
+      // Only host can remove bots
+      requireHost(game, hostToken, 'remove bots');
+
+      game.removeBot();
+
+      // Notify everyone in the room
+      io.to(roomCode).emit('bot-removed', {
+        gameState: game.getState(),
+      });
+    });
 
-  if (lanIps.length === 0) {
-    console.log('❌ No LAN IPv4 address detected. Are you connected to a network?');
-  } else {
-    networkBaseUrl = `http://${lanIps[0]}:${PORT}`;
-    console.log('\n🌐 Network Access URLs:');
-    lanIps.forEach(ip => {
-      console.log(`   📡 http://${ip}:${PORT} (for all devices on the same network)`);
-      console.log(`   👑 Host: http://${ip}:${PORT}/host.html`);
-      console.log(`   🎯 Player: http://${ip}:${PORT}`);
+    // Player switches team in the waiting room
+    handleEvent(socket, 'choose-team', ({ roomCode, playerId, teamId }) => {
+      const game = getGameFor('choose-team', roomCode);
+      requirePlayer(socket, roomCode, playerId);
+
+      const error = game.setPlayerTeam(playerId, teamId);
+      if (error) throw new ValidationError(error);
+
+      io.to(roomCode).emit('teams-updated', {
+        gameState: game.getState(),
+      });
     });
 
-    // Try to advertise via mDNS
-    try {
-      const avahi = spawn('avahi-publish-service', ['game-server', '_http._tcp', PORT], {
-        stdio: 'pipe', // Don't inherit to avoid cluttering console
-        detached: true
+    // Host evens out team sizes
+    handleEvent(socket, 'balance-teams', ({ roomCode, hostToken }) => {
+      const game = getGameFor('balance-teams', roomCode);
+      requireHost(game, hostToken, 'balance teams');
+
+      game.balanceTeams();
+
+      io.to(roomCode).emit('teams-updated', {
+        gameState: game.getState(),
+      });
+    });
+
+    // Host starts the game once enough players have joined
+    handleEvent(socket, 'start-game', async ({ roomCode, hostToken }) => {
+      const game = getGameFor('start-game', roomCode);
+
+      // Only host can start the game
+      requireHost(game, hostToken, 'start the game');
+
+      console.log('Start game requested for', roomCode, 'players:', game.players.length, 'debug:', game.debugMode);
+      // Fill empty seats with bots if the host asked for it. If the game then can't start they
+      // leave again, so the lobby looks as it did and a retry doesn't add a second set.
+      const addedBots = game.settings.fillWithBots ? game.fillWithBots(game.settings.fillWithBots) : [];
+      let failure = null;
+      // Require at least 2 players (not counting host), or 1 in debug mode
+      if (game.players.length < (game.debugMode ? 1 : 2)) {
+        failure = new ValidationError(ERROR_CODES.WRONG_STATE, `At least ${game.debugMode ? 1 : 2} player(s) are required to start the game.`);
+      } else {
+        try {
+          const error = await game.startGame();
+          if (error) failure = new ValidationError(error);
+        } catch (err) {
+          console.error('Failed to start game with AI-generated prompts:', err);
+          failure = new ValidationError(ERROR_CODES.ACTION_FAILED, 'Failed to start game. Please try again.');
+        }
+      }
+      if (failure) {
+        addedBots.forEach(() => game.removeBot());
+        throw failure;
+      }
+
+      addedBots.forEach((bot) => {
+        io.to(roomCode).emit('bot-added', { bot, gameState: game.getState() });
       });
-      
-      avahi.on('error', (err) => {
-         // Ignore errors if avahi is missing (e.g. on macOS)
+      io.to(roomCode).emit('game-started', game.getStartedPayload());
+    });
+
+    // Host starts another game in the same room once the last one is over
+    handleEvent(socket, 'restart-game', ({ roomCode, hostToken, maxRounds, cefrLevel, votingMode, vocabWords }) => {
+      const game = getGameFor('restart-game', roomCode);
+      requireHost(game, hostToken, 'restart the game');
+
+      const changes = {};
+      if (vocabWords && game instanceof VocabGame) {
+        if (vocabWords.length < VocabGame.MIN_WORDS) throw new ValidationError(ERROR_CODES.NOT_ENOUGH_WORDS);
+        changes.vocabWords = vocabWords;
+      }
+      if (maxRounds) changes.maxRounds = maxRounds;
+      if (cefrLevel) changes.cefrLevel = cefrLevel;
+      if (votingMode) changes.votingMode = votingMode;
+      game.restart(changes);
+
+      io.to(roomCode).emit('game-reset', {
+        gameState: game.getState(),
       });
+      console.log(`Game restarted in room ${roomCode}`);
+    });
 
-      avahi.unref();
+    // Host pauses, resumes, extends or skips the current phase
+    handleEvent(socket, 'timer-control', ({ roomCode, action, seconds, hostToken }) => {
+      const game = getGameFor('timer-control', roomCode);
+
+      // Only host can control the timer
+      requireHost(game, hostToken, 'control the timer');
+
+      let applied = false;
+      if (action === 'pause') {
+        applied = game.pauseTimer();
+      } else if (action === 'resume') {
+        applied = game.resumeTimer();
+      } else if (action === 'extend') {
+        applied = game.extendTimer(seconds || 15);
+      } else if (action === 'skip') {
+        applied = game.skipPhase();
+      }
 
-      console.log('\n🔍 mDNS Service Discovery:');
-      console.log('   If supported on your network: http://game-server.local');
-      console.log('   Note: May not work with VPNs like Tailscale');
-    } catch (err) {
-      console.log('   mDNS advertising failed - use IP addresses above');
-    }
+      if (!applied) {
+        throw new ValidationError(ERROR_CODES.WRONG_STATE, `Cannot ${action} the timer right now.`);
+      }
+    });
+
+    // Host approves, hides or replaces a flagged answer before its match is shown
+    handleEvent(socket, 'moderate-answer', ({ roomCode, hostToken, playerId, promptId, action, replacement }) => {
+      const game = getGameFor('moderate-answer', roomCode);
+
+      // Only host can moderate answers
+      requireHost(game, hostToken, 'moderate answers');
+
+      const error = game.reviewAnswer(playerId, promptId, action, replacement);
+      if (error) throw new ValidationError(error);
+    });
+
+    // Host removes a player or audience member (works mid-game too)
+    handleEvent(socket, 'kick-player', ({ roomCode, hostToken, playerId }) => {
+      const game = getGameFor('kick-player', roomCode);
+      requireHost(game, hostToken, 'remove players');
+
+      const member = gameManager.kickPlayer(roomCode, playerId);
+      if (!member) throw new ValidationError(ERROR_CODES.PLAYER_NOT_FOUND);
+
+      if (member.socketId) {
+        io.to(member.socketId).emit('kicked', { roomCode });
+        io.in(member.socketId).socketsLeave(roomCode);
+      }
+      io.to(roomCode).emit('player-kicked', {
+        playerId,
+        gameState: game.getState(),
+      });
+      console.log(`Host removed ${member.name} from room ${roomCode}`);
+    });
+
+    // Host replaces an inappropriate name
+    handleEvent(socket, 'rename-player', ({ roomCode, hostToken, playerId, playerName }) => {
+      const game = getGameFor('rename-player', roomCode);
+      requireHost(game, hostToken, 'rename players');
+
+      const error = game.renamePlayer(playerId, playerName);
+      if (error) throw new ValidationError(error);
+
+      io.to(roomCode).emit('player-renamed', {
+        playerId,
+        name: playerName,
+        gameState: game.getState(),
+      });
+    });
+
+    // Host stops (or allows again) new players and spectators joining
+    handleEvent(socket, 'lock-room', ({ roomCode, hostToken, locked }) => {
+      const game = getGameFor('lock-room', roomCode);
+      requireHost(game, hostToken, 'lock the room');
+
+      game.setLocked(locked);
+
+      io.to(roomCode).emit('room-locked', {
+        locked,
+        gameState: game.getState(),
+      });
+    });
+
+    // Host asks for a one-time code to move the host screen to another device
+    handleEvent(socket, 'start-host-transfer', ({ roomCode, hostToken }) => {
+      const game = getGameFor('start-host-transfer', roomCode);
+      requireHost(game, hostToken, 'transfer the host role');
+
+      const { code, expiresAt } = game.createHostTransfer();
+      const lanIps = getLanIPv4Addresses();
+      const hostPage = game.debugMode ? 'hostdebug.html' : 'host.html';
+      const claimUrl = `http://${lanIps.length > 0 ? lanIps[0] : 'localhost'}:${PORT}/${hostPage}?room=${roomCode}&claim=${code}`;
 
-    console.log('\n💡 Share the network URL with friends on the same WiFi/LAN!');
+      socket.emit('host-transfer-code', { code, expiresAt, claimUrl });
+    });
+
+    // Another device takes over as host with the code from `start-host-transfer`
+    handleEvent(socket, 'claim-host', ({ roomCode, transferCode }) => {
+      const game = getGameFor('claim-host', roomCode);
+
+      const previousHostSocketId = game.hostSocketId;
+      if (!game.claimHost(transferCode, socket.id)) {
+        throw new ValidationError(ERROR_CODES.INVALID_TRANSFER_CODE);
+      }
+
+      // The old host token no longer verifies; tell that screen to let go
+      if (previousHostSocketId && previousHostSocketId !== socket.id) {
+        io.to(previousHostSocketId).emit('host-transferred', { roomCode });
+        io.in(previousHostSocketId).socketsLeave(roomCode);
+      }
+      socket.join(roomCode);
+
+      const lanIps = getLanIPv4Addresses();
+      const joinUrl = lanIps.length > 0 ? `http://${lanIps[0]}:${PORT}/player.html?room=${roomCode}` : `http://localhost:${PORT}/player.html?room=${roomCode}`;
+
+      socket.emit('game-created', {
+        roomCode,
+        joinUrl,
+        hostToken: sessionTokens.issueHostToken(game),
+        gameState: game.getState(),
+      });
+      game.getCatchUpEvents().forEach(([event, data]) => socket.emit(event, data));
+
+      console.log(`Host role for room ${roomCode} moved to another device`);
+    });
+
+    // Host reconnects (after a dropped connection or a page refresh) with their host token
+    handleEvent(socket, 'host-reconnect', ({ roomCode, hostToken }) => {
+      const game = getGameFor('host-reconnect', roomCode);
+
+      if (!sessionTokens.verifyHost(hostToken, game)) {
+        throw new ValidationError(ERROR_CODES.HOST_AUTH_FAILED, 'Your host session is not valid for this game.');
+      }
+
+      // Update host socket ID
+      game.hostSocketId = socket.id;
+      socket.join(roomCode);
+
+      const lanIps = getLanIPv4Addresses();
+      const joinUrl = lanIps.length > 0 ? `http://${lanIps[0]}:${PORT}/player.html?room=${roomCode}` : `http://localhost:${PORT}/player.html?room=${roomCode}`;
+
+      socket.emit('game-created', {
+        roomCode,
+        joinUrl,
+        hostToken,
+        gameState: game.getState(),
+      });
+      game.getCatchUpEvents().forEach(([event, data]) => socket.emit(event, data));
+
+      console.log(`Host reconnected to room ${roomCode}`);
+    });
+
+    // Handle disconnection
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+      gameManager.handleDisconnect(socket.id);
+    });
+  });
+
+  // Saves pending snapshots, stops timers and closes every connection; the server is unusable afterwards
+  function close() {
+    gameManager.stopCleanup();
+    gameManager.flushSaves();
+    gameManager.games.forEach((game) => game.clearAllTimers());
+    return new Promise((resolve) => io.close(() => resolve()));
   }
-});
+
+  return { app, server, io, gameManager, restoredGames, close };
+}
+
+module.exports = { createGameServer };
+
+if (require.main === module) {
+  const { server, gameManager, restoredGames } = createGameServer();
+  server.listen(PORT, () => {
+    const lanIps = getLanIPv4Addresses();
+
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log(`🤖 LLM provider: ${gameManager.llm.describe()}`);
+    if (restoredGames > 0) {
+      console.log(`💾 Restored ${restoredGames} saved game(s)`);
+    }
+    for (const ip of lanIps) {
+      console.log(`Server running on http://${ip}:${PORT}/player.html`);
+    }
+
+    if (lanIps.length === 0) {
+      console.log('❌ No LAN IPv4 address detected. Are you connected to a network?');
+    } else {
+      networkBaseUrl = `http://${lanIps[0]}:${PORT}`;
+      console.log('\n🌐 Network Access URLs:');
+      lanIps.forEach(ip => {
+        console.log(`   📡 http://${ip}:${PORT} (for all devices on the same network)`);
+        console.log(`   👑 Host: http://${ip}:${PORT}/host.html`);
+        console.log(`   🎯 Player: http://${ip}:${PORT}`);
+      });
+
+      // Try to advertise via mDNS
+      try {
+        const avahi = spawn('avahi-publish-service', ['game-server', '_http._tcp', PORT], {
+          stdio: 'pipe', // Don't inherit to avoid cluttering console
+          detached: true
+        });
+
+        avahi.on('error', (err) => {
+           // Ignore errors if avahi is missing (e.g. on macOS)
+        });
+
+        avahi.unref();
+
+        console.log('\n🔍 mDNS Service Discovery:');
+        console.log('   If supported on your network: http://game-server.local');
+        console.log('   Note: May not work with VPNs like Tailscale');
+      } catch (err) {
+        console.log('   mDNS advertising failed - use IP addresses above');
+      }
+
+      console.log('\n💡 Share the network URL with friends on the same WiFi/LAN!');
+    }
+  });
+}
@@ -0,0 +1,239 @@
+const http = require('http');
+const https = require('https');
+
+// Local LLM runtimes we know how to talk to.
+// - ollama: Ollama's native `/api/generate`
+// - openai: any OpenAI-compatible `/v1/chat/completions` server (llama.cpp, LM Studio, vLLM...)
+// - mock: deterministic offline responses for tests and demos
+// The vocabulary game's dev proxy (vite.config.ts) keeps a copy of these endpoints.
+const DEFAULT_ENDPOINTS = {
+  ollama: 'http://localhost:11434',
+  openai: 'http://localhost:8080',
+};
+
+const DEFAULT_MODEL = 'llama3.2:3b';
+
+// Per-task request timeouts (ms) used when neither the caller nor the config sets one.
+const DEFAULT_TIMEOUTS = {
+  prompts: 10000,
+  answer: 5000,
+  vote: 5000,
+  moderation: 5000,
+  definition: 8000,
+};
+
+/**
+ * Build the provider config from explicit overrides (e.g. game settings), falling back
+ * to environment variables and then to the defaults above:
+ *   LLM_PROVIDER, LLM_ENDPOINT, LLM_MODEL, LLM_API_KEY, LLM_TIMEOUT_MS, LLM_RETRIES, LLM_RETRY_DELAY_MS
+ */
+function resolveLLMConfig(overrides = {}) {
+  const provider = overrides.provider || process.env.LLM_PROVIDER || 'ollama';
+  const numberOr = (value, fallback) => {
+    const n = Number(value);
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(n) ? n : fallback;
+  };
+
+  return {
+    provider,
+    endpoint: (overrides.endpoint || process.env.LLM_ENDPOINT || DEFAULT_ENDPOINTS[provider] || '').replace(/\/+$/, ''),
+    model: overrides.model || process.env.LLM_MODEL || DEFAULT_MODEL,
+    apiKey: overrides.apiKey || process.env.LLM_API_KEY || null,
+    timeoutMs: numberOr(overrides.timeoutMs, numberOr(process.env.LLM_TIMEOUT_MS, null)),
+    retries: numberOr(overrides.retries, numberOr(process.env.LLM_RETRIES, 2)),
+    retryDelayMs: numberOr(overrides.retryDelayMs, numberOr(process.env.LLM_RETRY_DELAY_MS, 500)),
+  };
+}
+
+class LLMProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Send a single prompt and resolve with the model's text.
+   * `options.task` ('prompts', 'answer', ...) picks the default timeout and lets the mock
+   * provider answer in the right shape. Failed requests are retried with exponential backoff.
+   */
+  async generate(prompt, options = {}) {
+    const timeoutMs = options.timeoutMs || this.config.timeoutMs || DEFAULT_TIMEOUTS[options.task] || 10000;
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.config.retries; attempt++) {
+      if (attempt > 0) {
+        await sleep(this.config.retryDelayMs * 2 ** (attempt - 1));
+      }
+      try {
+        const text = await this.request(prompt, { ...options, timeoutMs });
+        return text.trim();
+      } catch (err) {
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  describe() {
+    return `${this.config.provider} ${this.config.model} @ ${this.config.endpoint}`;
+  }
+}
+
+class OllamaProvider extends LLMProvider {
+  async request(prompt, { timeoutMs, temperature }) {
+    const body = {
+      model: this.config.model,
+      prompt,
+      stream: false,
+    };
+    if (temperature !== undefined) body.options = { temperature };
+
+    const json = await postJson(`${this.config.endpoint}/api/generate`, body, {}, timeoutMs);
+    if (!json || typeof json.response !== 'string') {
+      throw new Error('Unexpected response shape from Ollama.');
+    }
+    return json.response;
+  }
+}
+
+class OpenAICompatibleProvider extends LLMProvider {
+  async request(prompt, { timeoutMs, temperature, maxTokens }) {
+    const body = {
+      model: this.config.model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: false,
+    };
+    if (temperature !== undefined) body.temperature = temperature;
+    if (maxTokens !== undefined) body.max_tokens = maxTokens;
+
+    const headers = this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {};
+    // Accept both "http://host:1234" and "http://host:1234/v1" as the endpoint
+    const base = this.config.endpoint.endsWith('/v1') ? this.config.endpoint : `${this.config.endpoint}/v1`;
+
+    const json = await postJson(`${base}/chat/completions`, body, headers, timeoutMs);
+    const content = json && json.choices && json.choices[0] && json.choices[0].message && json.choices[0].message.content;
+    if (typeof content !== 'string') {
+      throw new Error('Unexpected response shape from OpenAI-compatible server.');
+    }
+    return content;
+  }
+}
+
+const MOCK_ANSWERS = [
+  'A sandwich with opinions',
+  'My neighbour\'s llama',
+  'Three raccoons in a coat',
+  'Free wifi forever',
+  'A very polite volcano',
+  'Homework that does itself',
+  'Socks made of spaghetti',
+  'A haunted spoon',
+];
+
+// Deterministic stand-in for a real model: the same prompt always gets the same answer.
+// Pass `responder(prompt, options)` to script replies; every call is recorded in `calls`.
+class MockProvider extends LLMProvider {
+  constructor(config, responder = null) {
+    super({ ...config, endpoint: 'mock', retryDelayMs: 0 });
+    this.responder = responder;
+    this.calls = [];
+  }
+
+  async request(prompt, options) {
+    this.calls.push({ prompt, task: options.task });
+    if (this.responder) {
+      return this.responder(prompt, options);
+    }
+    if (options.task === 'prompts') {
+      const prompts = Array.from({ length: 50 }, (_, i) => `Mock prompt number ${i + 1}: ______`);
+      return JSON.stringify(prompts);
+    }
+    if (options.task === 'moderation') {
+      return 'SAFE';
+    }
+    if (options.task === 'vote') {
+      return '1, 2, 3';
+    }
+    if (options.task === 'definition') {
+      const word = /word "([^"]+)"/.exec(prompt)?.[1] || 'it';
+      return `Definition: Mock meaning number ${hashString(prompt) % 1000}.\nExample: I can use ${word} in a sentence.`;
+    }
+    return MOCK_ANSWERS[hashString(prompt) % MOCK_ANSWERS.length];
+  }
+}
+
+const PROVIDERS = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider,
+};
+
+function createLLMProvider(overrides = {}) {
+  const config = resolveLLMConfig(overrides);
+  const Provider = PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${config.provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider(config, overrides.responder);
+}
+
+module.exports = {
+  createLLMProvider,
+  resolveLLMConfig,
+  MockProvider,
+};
+
+// --- HTTP helpers ---
+
+function postJson(url, body, headers, timeoutMs) {
+  const payload = JSON.stringify(body);
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  const options = {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      ...headers,
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk.toString());
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`LLM request failed with HTTP ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(timeoutMs, () => {
+      req.destroy();
+      reject(new Error(`LLM request timeout after ${timeoutMs}ms`));
+    });
+
+    req.write(payload);
+    req.end();
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LISTS_PATH = path.join(__dirname, 'moderation', 'wordLists.json');
+
+// Youngest first: each group also gets every list after it
+const AGE_GROUPS = ['kids', 'teens', 'adults'];
+
+// Word endings matched on top of every listed word ("kill" also catches "killed", "killing")
+const SUFFIXES = '(?:s|es|ed|ing|y)?';
+
+// Common look-alike characters used to dodge filters
+const LOOKALIKES = { '0': 'o', '1': 'i', '!': 'i', '3': 'e', '4': 'a', '@': 'a', '5': 's', '$': 's', '7': 't' };
+
+/**
+ * Load the moderation word lists. Set MODERATION_LISTS to point at your own file; see
+ * moderation/wordLists.json for the format. A missing or broken file falls back to no
+ * word lists (LLM moderation, if enabled, still runs).
+ */
+function loadWordLists(filePath = process.env.MODERATION_LISTS || DEFAULT_LISTS_PATH) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+      ages: data.ages || {},
+      levels: data.levels || {},
+    };
+  } catch (err) {
+    console.error(`Failed to load moderation word lists from ${filePath}:`, err.message);
+    return { ages: {}, levels: {} };
+  }
+}
+
+/**
+ * Screens player answers before they reach the shared screen. The word lists run on every
+ * answer; the local LLM check is opt-in per game because it adds a request per answer.
+ * Results look like `{ flagged, reasons }`, where reasons name the matched words or 'llm'.
+ */
+class AnswerModerator {
+  constructor(lists = loadWordLists()) {
+    this.lists = lists;
+    this.patternCache = new Map(); // "ageGroup|level" -> [{ word, regex }]
+  }
+
+  checkWords(text, { ageGroup = 'adults', cefrLevel = null } = {}) {
+    // Check with and without look-alike substitution: "sh!t" needs it, "hell!" must not lose its ending
+    const variants = [normalizeText(text, false), normalizeText(text, true)];
+    const reasons = this.getPatterns(ageGroup, cefrLevel)
+      .filter(({ regex }) => variants.some((variant) => regex.test(variant)))
+      .map(({ word }) => word);
+
+    return { flagged: reasons.length > 0, reasons };
+  }
+
+  async checkWithLLM(llm, text, { promptText = '', ageGroup = 'adults' } = {}) {
+    const audience = ageGroup === 'kids' ? 'children' : ageGroup === 'teens' ? 'teenagers' : 'adult language learners';
+    const prompt = `You are moderating a classroom party game played by ${audience}.
+The prompt was: "${promptText}"
+A player answered: "${text}"
+
+Is this answer appropriate to show on the classroom projector? It must not contain profanity,
+sexual content, slurs, bullying or graphic violence. Mild silliness is fine.
+Reply with exactly one word: SAFE or UNSAFE.`;
+
+    try {
+      const reply = await llm.generate(prompt, { task: 'moderation', temperature: 0 });
+      const flagged = /\bUNSAFE\b/i.test(reply);
+      return { flagged, reasons: flagged ? ['llm'] : [] };
+    } catch (err) {
+      // The word lists already ran; don't hold the game up when the model is unreachable
+      console.error('LLM moderation failed:', err.message);
+      return { flagged: false, reasons: [] };
+    }
+  }
+
+  getPatterns(ageGroup, cefrLevel) {
+    const key = `${ageGroup}|${cefrLevel}`;
+    if (!this.patternCache.has(key)) {
+      const groupIndex = Math.max(0, AGE_GROUPS.indexOf(ageGroup));
+      const words = new Set();
+      AGE_GROUPS.slice(groupIndex).forEach((group) => (this.lists.ages[group] || []).forEach((word) => words.add(word)));
+      (this.lists.levels[cefrLevel] || []).forEach((word) => words.add(word));
+
+      this.patternCache.set(key, Array.from(words).map((word) => ({ word, regex: buildPattern(word) })));
+    }
+    return this.patternCache.get(key);
+  }
+}
+
+module.exports = {
+  AnswerModerator,
+  loadWordLists,
+  AGE_GROUPS,
+};
+
+// --- Matching helpers ---
+
+function normalizeText(text, replaceLookalikes) {
+  let normalized = String(text).toLowerCase();
+  if (replaceLookalikes) {
+    normalized = normalized.replace(/[0134@57$!]/g, (char) => LOOKALIKES[char]);
+  }
+  // Join spelled-out letters: "f u c k", "f.u.c.k", "f-u-c-k"
+  normalized = normalized.replace(/\b(?:[a-z][\s.\-_*]+){2,}[a-z]\b/g, (match) => match.replace(/[^a-z]/g, ''));
+  return normalized;
+}
+
+// "shut up" -> /(^|[^a-z])s+h+u+t+\s+u+p+(?:s|es|...)?(?=$|[^a-z])/ so stretched letters ("shiiit") still match
+function buildPattern(word) {
+  const body = String(word)
+    .toLowerCase()
+    .trim()
+    .split(/\s+/)
+    .map((part) => part.split('').map((char) => `${char.replace(/[^a-z0-9]/g, '\\$&')}+`).join(''))
+    .join('\\s+');
+  return new RegExp(`(^|[^a-z])${body}${SUFFIXES}(?=$|[^a-z])`);
+}
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const PACKS_DIR = path.join(__dirname, 'promptPacks');
+
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1'];
+// Content ratings from mildest to strongest. A game's `maxRating` excludes anything above it.
+const CONTENT_RATINGS = ['G', 'PG', 'PG-13'];
+
+/**
+ * Load every prompt pack (.json, .yaml, .yml) from `dir`.
+ *
+ * Pack format:
+ *   { id, name, description, prompts: [{ text, cefr, topic, rating }] }
+ * `id` defaults to the file name. Prompts must end with '______'; `cefr` defaults to B1,
+ * `rating` to G and `topic` to the pack id. Invalid prompts are skipped with a warning
+ * so one typo doesn't take a whole pack down.
+ */
+function loadPromptPacks(dir = PACKS_DIR) {
+  const packs = new Map();
+  if (!fs.existsSync(dir)) return packs;
+
+  fs.readdirSync(dir)
+    .filter((file) => /\.(json|ya?ml)$/i.test(file))
+    .sort()
+    .forEach((file) => {
+      const filePath = path.join(dir, file);
+      try {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const data = file.toLowerCase().endsWith('.json') ? JSON.parse(raw) : YAML.parse(raw);
+        const pack = normalizePack(data, path.basename(file, path.extname(file)));
+        if (packs.has(pack.id)) {
+          console.warn(`Prompt pack ${file}: duplicate id "${pack.id}", skipped`);
+          return;
+        }
+        packs.set(pack.id, pack);
+      } catch (err) {
+        console.error(`Failed to load prompt pack ${file}:`, err.message);
+      }
+    });
+
+  return packs;
+}
+
+function normalizePack(data, fallbackId) {
+  if (!data || !Array.isArray(data.prompts)) {
+    throw new Error('expected an object with a "prompts" array');
+  }
+
+  const id = String(data.id || fallbackId);
+  const prompts = [];
+  data.prompts.forEach((entry, index) => {
+    const prompt = typeof entry === 'string' ? { text: entry } : entry || {};
+    const text = String(prompt.text || '').trim();
+    const cefr = String(prompt.cefr || 'B1').toUpperCase();
+    const rating = String(prompt.rating || 'G').toUpperCase();
+
+    if (!text.endsWith('______')) {
+      console.warn(`Prompt pack ${id}: prompt ${index + 1} must end with '______', skipped`);
+      return;
+    }
+    if (!CEFR_LEVELS.includes(cefr) || !CONTENT_RATINGS.includes(rating)) {
+      console.warn(`Prompt pack ${id}: prompt ${index + 1} has unknown CEFR level or rating, skipped`);
+      return;
+    }
+    prompts.push({ text, cefr, topic: String(prompt.topic || id), rating });
+  });
+
+  return {
+    id,
+    name: String(data.name || id),
+    description: String(data.description || ''),
+    prompts,
+  };
+}
+
+// Summary for the host's pack selector
+function listPromptPacks(packs) {
+  return Array.from(packs.values()).map((pack) => ({
+    id: pack.id,
+    name: pack.name,
+    description: pack.description,
+    promptCount: pack.prompts.length,
+    levels: CEFR_LEVELS.filter((level) => pack.prompts.some((p) => p.cefr === level)),
+    topics: [...new Set(pack.prompts.map((p) => p.topic))],
+  }));
+}
+
+/**
+ * Prompts from the chosen packs that suit the game: at or below its CEFR level and
+ * no stronger than `maxRating`. Unknown pack ids are ignored.
+ */
+function selectPackPrompts(packs, packIds, { cefrLevel = 'B1', maxRating = null } = {}) {
+  const levelLimit = CEFR_LEVELS.indexOf(cefrLevel);
+  const ratingLimit = maxRating ? CONTENT_RATINGS.indexOf(maxRating) : CONTENT_RATINGS.length - 1;
+
+  const selected = [];
+  (packIds || []).forEach((packId) => {
+    const pack = packs.get(packId);
+    if (!pack) return;
+    pack.prompts.forEach((prompt) => {
+      if (levelLimit !== -1 && CEFR_LEVELS.indexOf(prompt.cefr) > levelLimit) return;
+      if (CONTENT_RATINGS.indexOf(prompt.rating) > ratingLimit) return;
+      selected.push({ ...prompt, packId: pack.id });
+    });
+  });
+  return selected;
+}
+
+module.exports = {
+  loadPromptPacks,
+  listPromptPacks,
+  selectPackPrompts,
+  CONTENT_RATINGS,
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// No I or O: they are easy to mistake for 1 and 0 on a projector
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 4;
+
+// Codes containing any of these are never handed out (room codes end up on a classroom screen)
+const BLOCKED_FRAGMENTS = [
+  'ASS', 'CUM', 'FAG', 'FUC', 'FUK', 'FCK', 'GAY', 'JEW', 'KKK', 'NIG', 'NGR', 'SEX', 'TIT', 'WTF', 'XXX',
+  'ANAL', 'ANUS', 'ARSE', 'BOOB', 'CLIT', 'COCK', 'COON', 'CRAP', 'CUNT', 'DAMN', 'DICK', 'DUMB', 'DYKE',
+  'FART', 'HELL', 'HOMO', 'JIZZ', 'KILL', 'KIKE', 'MILF', 'NAZI', 'PAKI', 'PEDO', 'PISS', 'POOP',
+  'PORN', 'PUBE', 'RAPE', 'SCUM', 'SHAT', 'SHIT', 'SLAG', 'SLUT', 'SPIC', 'SUCK', 'TURD', 'TWAT', 'WANK',
+  'WHOR',
+];
+
+function isBlockedCode(code) {
+  return BLOCKED_FRAGMENTS.some((fragment) => code.includes(fragment));
+}
+
+/**
+ * A random room code that `isTaken(code)` rejects and that spells nothing rude.
+ * Returns null if no free code turns up after `maxAttempts` tries (the caller should
+ * treat that as "server full").
+ */
+function generateRoomCode(isTaken = () => false, maxAttempts = 1000) {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_LETTERS[crypto.randomInt(CODE_LETTERS.length)];
+    }
+    if (!isBlockedCode(code) && !isTaken(code)) {
+      return code;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  generateRoomCode,
+  isBlockedCode,
+};
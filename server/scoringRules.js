@@ -0,0 +1,94 @@
+// Named scoring rulesets, picked with the `scoring` setting of `create-game`.
+//
+// Regular rounds: each match has a pot (`basePot`, scaled by the voting mode) shared out by vote
+// share, plus `quiplashBonus` for an answer that took every vote. Both grow from 1x in round 1 to
+// `roundScaling`x in the last regular round, however many rounds the game has.
+// Final round: `medalPoints` per medal. Tiebreaker: `tiebreakerBonus` to the winner.
+// `audienceBonus` is the per-match pot split by the audience vote, and `speedBonus` is the most
+// an answer can earn for being sent early (it shrinks to 0 at the end of the answering phase).
+const SCORING_RULES = {
+  classic: {
+    name: 'Classic',
+    description: 'Pots double by the last regular round; Quiplash bonus for a clean sweep',
+    basePot: 1000,
+    quiplashBonus: 500,
+    roundScaling: 2,
+    medalPoints: 500,
+    tiebreakerBonus: 500,
+    audienceBonus: 500,
+    speedBonus: 0,
+  },
+  casual: {
+    name: 'Casual',
+    description: 'The same smaller pot every round, so an early lead is easy to catch',
+    basePot: 1000,
+    quiplashBonus: 250,
+    roundScaling: 1,
+    medalPoints: 250,
+    tiebreakerBonus: 250,
+    audienceBonus: 250,
+    speedBonus: 0,
+  },
+  speed: {
+    name: 'Speed Bonus',
+    description: 'Classic scoring, plus up to 300 points for answers that got votes and were sent early',
+    basePot: 1000,
+    quiplashBonus: 500,
+    roundScaling: 2,
+    medalPoints: 500,
+    tiebreakerBonus: 500,
+    audienceBonus: 500,
+    speedBonus: 300,
+  },
+  'no-bonus': {
+    name: 'No Bonus',
+    description: 'Votes only: no Quiplash, winner or audience bonuses',
+    basePot: 1000,
+    quiplashBonus: 0,
+    roundScaling: 2,
+    medalPoints: 500,
+    // Still needed to settle a tie for first
+    tiebreakerBonus: 500,
+    audienceBonus: 0,
+    speedBonus: 0,
+  },
+};
+
+const DEFAULT_SCORING = 'classic';
+
+function getScoringRules(id) {
+  return SCORING_RULES[id] || SCORING_RULES[DEFAULT_SCORING];
+}
+
+// 1 in round 1, rising evenly to `rules.roundScaling` in the last round before the final
+function roundMultiplier(rules, round, maxRounds) {
+  const regularRounds = maxRounds - 1;
+  if (regularRounds <= 1) return 1;
+  const progress = (Math.min(round, regularRounds) - 1) / (regularRounds - 1);
+  return 1 + (rules.roundScaling - 1) * progress;
+}
+
+// Pot and Quiplash bonus for one regular-round match, before the voting mode's pot multiplier
+function getRoundPoints(rules, round, maxRounds) {
+  const multiplier = roundMultiplier(rules, round, maxRounds);
+  return {
+    pot: Math.round(rules.basePot * multiplier),
+    quiplashBonus: Math.round(rules.quiplashBonus * multiplier),
+  };
+}
+
+// Bonus for an answer sent `elapsedMs` into an answering phase of `phaseMs`
+function getSpeedBonus(rules, elapsedMs, phaseMs) {
+  if (!rules.speedBonus || phaseMs <= 0) return 0;
+  const remaining = Math.min(1, Math.max(0, 1 - elapsedMs / phaseMs));
+  return Math.round(rules.speedBonus * remaining);
+}
+
+module.exports = {
+  SCORING_RULES,
+  DEFAULT_SCORING,
+  getScoringRules,
+  roundMultiplier,
+  getRoundPoints,
+  getSpeedBonus,
+};
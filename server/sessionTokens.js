@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_DATA_DIR } = require('./gameStore');
+
+/**
+ * Signed session tokens for hosts and players.
+ *
+ * A token is `<payload>.<signature>`: base64url JSON claims plus an HMAC-SHA256 over them.
+ * Claims are bound to the game id (not just the room code), so a token never carries over
+ * to a later game that happens to reuse the same code.
+ *
+ * The secret comes from SESSION_SECRET, or is generated once and kept in the data directory
+ * so tokens stay valid across restarts along with the saved games.
+ */
+class SessionTokens {
+  constructor(secret = null, dataDir = DEFAULT_DATA_DIR) {
+    this.secret = secret || loadOrCreateSecret(dataDir);
+  }
+
+  issue(claims) {
+    const payload = Buffer.from(JSON.stringify({ ...claims, iat: Date.now() })).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // Returns the claims, or null if the token is missing, malformed or tampered with
+  verify(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  issueHostToken(game) {
+    // `v` ties the token to the current host device; a host transfer bumps the version
+    return this.issue({ role: 'host', gameId: game.id, roomCode: game.roomCode, v: game.hostTokenVersion || 0 });
+  }
+
+  issuePlayerToken(game, playerId) {
+    return this.issue({ role: 'player', gameId: game.id, roomCode: game.roomCode, playerId });
+  }
+
+  verifyHost(token, game) {
+    const claims = this.verify(token);
+    return !!claims && claims.role === 'host' && claims.gameId === game.id &&
+      (claims.v || 0) === (game.hostTokenVersion || 0);
+  }
+
+  // The player id the token was issued for, or null
+  verifyPlayer(token, game) {
+    const claims = this.verify(token);
+    if (!claims || claims.role !== 'player' || claims.gameId !== game.id) return null;
+    return claims.playerId;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+module.exports = {
+  SessionTokens,
+};
+
+function loadOrCreateSecret(dataDir = DEFAULT_DATA_DIR) {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+
+  const secretPath = path.join(dataDir, 'session-secret');
+  try {
+    return fs.readFileSync(secretPath, 'utf8').trim();
+  } catch (err) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+    } catch (writeErr) {
+      // Tokens still work, they just won't survive a restart
+      console.error('Failed to save session secret:', writeErr.message);
+    }
+    return secret;
+  }
+}
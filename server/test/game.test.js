@@ -0,0 +1,381 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES } = require('../validation');
+const GameManager = require('../gameManager');
+const { MockProvider } = require('../llmProvider');
+const { createTestManager, createTestGame, answerAll, pickVote, flushPromises, tick } = require('./helpers');
+
+// Keeps the clock running (acting through `onStep` each second) until the game is over
+async function playUntilFinished(game, onStep = () => {}, maxSeconds = 2000) {
+  for (let i = 0; i < maxSeconds && game.state !== 'finished'; i++) {
+    onStep(game);
+    await tick();
+  }
+  assert.equal(game.state, 'finished', `game stuck in "${game.state}"`);
+}
+
+function voteAll(game, preference) {
+  game.getEligibleVoters()
+    .filter((id) => !game.votes.has(id))
+    .forEach((id) => assert.equal(game.submitVote(id, pickVote(game, id, preference)), null));
+}
+
+describe('Game', () => {
+  let manager;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'] });
+    manager = createTestManager();
+  });
+
+  afterEach(() => {
+    manager.games.forEach((game) => game.clearAllTimers());
+    mock.timers.reset();
+  });
+
+  it('plays a full pairs game to game-over when everyone answers and votes', async () => {
+    const { game, eventsNamed } = createTestGame(manager, { votingMode: 'pairs', maxRounds: 2 });
+    const [alice, bob, cara] = game.players;
+    await game.startGame();
+    assert.equal(game.state, 'answering');
+    assert.equal(game.round, 1);
+
+    await playUntilFinished(game, () => {
+      if (game.state === 'answering') answerAll(game);
+      if (game.state === 'voting') voteAll(game, [alice.id, bob.id, cara.id]);
+    });
+
+    assert.ok(eventsNamed('intermission').length >= 1);
+    assert.ok(eventsNamed('match-results').length >= 3);
+    const [gameOver] = eventsNamed('game-over');
+    assert.equal(gameOver.finalScores[0].name, 'Alice');
+    assert.ok(gameOver.finalScores[0].score > gameOver.finalScores[1].score);
+    assert.equal(eventsNamed('game-recap').length, 1);
+  });
+
+  it('fills in missing answers and moves on when the timers run out', async () => {
+    const { game, eventsNamed } = createTestGame(manager, { votingMode: 'pairs', maxRounds: 2, answerTime: 30, voteTime: 20 });
+    await game.startGame();
+
+    await tick(30);
+    assert.equal(game.state, 'voting');
+    game.answers.forEach((answerMap) => {
+      answerMap.forEach(({ answer }) => assert.equal(answer, '(No answer submitted)'));
+    });
+
+    // Nobody votes either: every phase still ends on its own (ties at 0 go to tiebreakers)
+    await playUntilFinished(game);
+    assert.equal(eventsNamed('game-over').length, 1);
+  });
+
+  it('settles a tie for first before the game is finished', async () => {
+    const { game, events } = createTestGame(manager, { votingMode: 'pairs', maxRounds: 1, answerTime: 30, voteTime: 20 });
+    const states = [];
+    let state = game.state;
+    Object.defineProperty(game, 'state', { get: () => state, set: (value) => { states.push(value); state = value; } });
+    let finishedWith = null;
+    game.onFinish = () => { finishedWith = game.tiebreakerRounds; };
+    await game.startGame();
+
+    // Nobody answers or votes, so everyone is tied at 0 until the tiebreakers run out
+    await playUntilFinished(game);
+    assert.ok(states.indexOf('tiebreaker-answering') > 0);
+    assert.equal(states.indexOf('finished'), states.length - 1);
+    assert.equal(finishedWith, game.tiebreakerRounds);
+    const names = events.map(([event]) => event);
+    assert.ok(names.indexOf('tiebreaker-start') < names.indexOf('game-over'));
+    assert.equal(names.filter((name) => name === 'game-over').length, 1);
+  });
+
+  it('ends the game instead of repeating a prompt when the pool runs dry', async () => {
+    const { game, events, eventsNamed } = createTestGame(manager, { votingMode: 'pairs', maxRounds: 3, aiPrompts: false });
+    await game.startGame();
+    // Nothing left but this round's prompts: no top-up, no built-ins
+    game.getFallbackPrompts = () => [];
+    game.topUpPrompts = () => Promise.resolve();
+    game.prompts = game.prompts.filter((p) => game.usedPromptIds.has(p.id));
+    const firstRound = game.currentPrompts.map((p) => p.promptId);
+
+    await playUntilFinished(game, () => {
+      if (game.state === 'answering') answerAll(game);
+      if (game.state === 'voting') voteAll(game);
+    });
+    assert.equal(game.round, 2);
+    assert.deepEqual(eventsNamed('start-answering'), []);
+    assert.deepEqual(game.currentPrompts.map((p) => p.promptId), firstRound);
+    const [error] = eventsNamed('error');
+    assert.equal(error.code, ERROR_CODES.OUT_OF_PROMPTS);
+    assert.ok(events.findIndex(([event]) => event === 'error') < events.findIndex(([event]) => event === 'game-over'));
+  });
+
+  it('pauses and resumes the phase timer', async () => {
+    const { game } = createTestGame(manager, { answerTime: 30 });
+    await game.startGame();
+
+    await tick(10);
+    assert.equal(game.pauseTimer(), true);
+    await tick(60);
+    assert.equal(game.state, 'answering');
+
+    assert.equal(game.resumeTimer(), true);
+    await tick(20);
+    assert.notEqual(game.state, 'answering');
+  });
+
+  describe('createAnswerPairs', () => {
+    [3, 5, 7].forEach((count) => {
+      it(`pairs every answer with an odd count of ${count} players`, async () => {
+        const names = Array.from({ length: count }, (_, i) => `Player ${i + 1}`);
+        const { game } = createTestGame(manager, { votingMode: 'pairs', maxRounds: 3 }, names);
+        await game.startGame();
+        answerAll(game);
+
+        assert.equal(game.state, 'voting');
+        assert.equal(game.votingMatches.length, count);
+        const appearances = new Map();
+        game.votingMatches.forEach(({ player1, player2 }) => {
+          assert.notEqual(player1.id, player2.id);
+          [player1, player2].forEach(({ id }) => appearances.set(id, (appearances.get(id) || 0) + 1));
+        });
+        game.players.forEach(({ id }) => assert.equal(appearances.get(id), 2));
+      });
+    });
+
+    it('drops prompts left with a single answer', async () => {
+      const { game } = createTestGame(manager, { votingMode: 'pairs', maxRounds: 3 }, ['A', 'B', 'C', 'D']);
+      await game.startGame();
+      const leaver = game.players[3];
+      game.getPendingPrompts()
+        .filter((p) => p.playerId !== leaver.id)
+        .forEach((p) => game.submitAnswer(p.playerId, p.promptId, 'Answer'));
+      game.removePlayer(leaver.id);
+
+      assert.equal(game.state, 'voting');
+      assert.equal(game.votingMatches.length, 2);
+      game.votingMatches.forEach(({ player1, player2 }) => {
+        assert.notEqual(player1.id, player2.id);
+        assert.ok(![player1.id, player2.id].includes(leaver.id));
+      });
+    });
+  });
+
+  describe('voting', () => {
+    it('rejects self votes, repeat votes and wrong medal shapes', async () => {
+      const { game } = createTestGame(manager, { votingMode: 'individual', maxRounds: 2 });
+      const [alice, bob] = game.players;
+      await game.startGame();
+      answerAll(game);
+
+      assert.equal(game.submitVote(alice.id, alice.id), ERROR_CODES.SELF_VOTE);
+      assert.equal(game.submitVote(alice.id, [bob.id, bob.id, bob.id]), ERROR_CODES.INVALID_VOTE);
+      assert.equal(game.submitVote(alice.id, bob.id), null);
+      assert.equal(game.submitVote(alice.id, bob.id), ERROR_CODES.ALREADY_VOTED);
+    });
+
+    it('pays the pot and the Quiplash bonus for a clean sweep', async () => {
+      const { game, eventsNamed } = createTestGame(manager, { votingMode: 'pairs', maxRounds: 3 }, ['A', 'B', 'C', 'D']);
+      await game.startGame();
+      answerAll(game);
+
+      const { player1, player2 } = game.votingMatches[0];
+      game.getEligibleVoters().forEach((id) => game.submitVote(id, player1.id));
+
+      assert.equal(eventsNamed('match-results').length, 1);
+      assert.equal(game.getPlayer(player1.id).score, 1500);
+      assert.equal(game.getPlayer(player2.id).score, 0);
+    });
+  });
+
+  describe('bots', () => {
+    it('answer in character and never vote for themselves', async () => {
+      const { game } = createTestGame(manager, { votingMode: 'pairs', maxRounds: 2 }, ['Human']);
+      game.fillWithBots(4);
+      const personalities = game.players.filter((p) => p.isBot).map((p) => p.personality);
+      assert.equal(new Set(personalities).size, 3);
+
+      const botVotes = [];
+      const submitVote = game.submitVote.bind(game);
+      game.submitVote = (playerId, voteId) => {
+        if (game.getPlayer(playerId)?.isBot) botVotes.push([playerId, voteId]);
+        return submitVote(playerId, voteId);
+      };
+
+      await game.startGame();
+      await tick(game.settings.answerTime - 1);
+      game.players.filter((p) => p.isBot).forEach((bot) => {
+        assert.equal(game.getPendingPrompts(bot.id).length, 0, `${bot.name} has not answered`);
+      });
+
+      await playUntilFinished(game);
+      assert.ok(botVotes.length > 0);
+      botVotes.forEach(([playerId, voteId]) => assert.ok(![].concat(voteId).includes(playerId)));
+    });
+  });
+
+  it('drops bot votes that are judged after their round is over', async () => {
+    // Judging replies from round 1 are held back until round 2 is voting
+    const held = [];
+    let game;
+    const fallback = new MockProvider({ retries: 0 });
+    const llm = new MockProvider({ retries: 0 }, (prompt, options) => {
+      if (options.task !== 'vote') return fallback.request(prompt, options);
+      return new Promise((resolve) => held.push({ round: game.round, resolve }));
+    });
+    const slowManager = new GameManager({ llm });
+    ({ game } = createTestGame(slowManager, { votingMode: 'individual', maxRounds: 3 }, ['Alice', 'Bob']));
+    game.fillWithBots(3);
+    game.botDelayScale = 0;
+    const bot = game.players.find((p) => p.isBot);
+    const humans = game.players.filter((p) => !p.isBot).map((p) => p.id);
+
+    await game.startGame();
+    for (let i = 0; i < 500 && !(game.round === 2 && game.state === 'voting'); i++) {
+      if (game.state === 'answering') answerAll(game);
+      if (game.state === 'voting') {
+        game.getEligibleVoters()
+          .filter((id) => humans.includes(id) && !game.votes.has(id))
+          .forEach((id) => game.submitVote(id, pickVote(game, id)));
+      }
+      await tick();
+    }
+    assert.equal(game.round, 2);
+    assert.equal(game.state, 'voting');
+    assert.equal(game.currentMatchIndex, 0);
+
+    held.filter((reply) => reply.round === 1).forEach((reply) => reply.resolve('1'));
+    await flushPromises();
+    assert.ok(held.some((reply) => reply.round === 1));
+    assert.equal(game.votes.has(bot.id), false);
+    slowManager.games.forEach((g) => g.clearAllTimers());
+  });
+
+  it('drops bot answers written for the game before a play again', async () => {
+    const held = [];
+    const fallback = new MockProvider({ retries: 0 });
+    const llm = new MockProvider({ retries: 0 }, (prompt, options) => {
+      if (options.task !== 'answer' || held.length > 0) return fallback.request(prompt, options);
+      return new Promise((resolve) => held.push(resolve));
+    });
+    const slowManager = new GameManager({ llm });
+    const { game } = createTestGame(slowManager, { votingMode: 'pairs', maxRounds: 2 }, ['Alice', 'Bob']);
+    game.fillWithBots(3);
+    game.botDelayScale = 0;
+    const submitted = [];
+    const submitAnswer = game.submitAnswer.bind(game);
+    game.submitAnswer = (playerId, promptId, text) => {
+      submitted.push(text);
+      return submitAnswer(playerId, promptId, text);
+    };
+
+    await game.startGame();
+    await tick();
+    assert.equal(held.length, 1);
+    game.restart();
+    await game.startGame();
+
+    held[0]('An answer from the last game');
+    await flushPromises();
+    assert.equal(game.playthrough, 2);
+    assert.ok(!submitted.includes('An answer from the last game'));
+    slowManager.games.forEach((g) => g.clearAllTimers());
+  });
+
+  it('starts voting once when a player leaves while answers are being moderated', async () => {
+    const held = [];
+    const fallback = new MockProvider({ retries: 0 });
+    const llm = new MockProvider({ retries: 0 }, (prompt, options) => {
+      if (options.task !== 'moderation') return fallback.request(prompt, options);
+      return new Promise((resolve) => held.push(resolve));
+    });
+    const slowManager = new GameManager({ llm });
+    const { game, eventsNamed } = createTestGame(slowManager, { votingMode: 'pairs', maxRounds: 3, llmModeration: true }, ['A', 'B', 'C', 'D']);
+    await game.startGame();
+
+    answerAll(game);
+    assert.ok(held.length > 0);
+    assert.equal(game.state, 'answering');
+    game.removePlayer(game.players[3].id);
+    assert.equal(eventsNamed('start-voting').length, 0);
+
+    held.forEach((resolve) => resolve('SAFE'));
+    await flushPromises();
+    assert.equal(game.state, 'voting');
+    assert.equal(eventsNamed('start-voting').length, 1);
+    slowManager.games.forEach((g) => g.clearAllTimers());
+  });
+
+  describe('restoring from a snapshot', () => {
+    // Stops `game` and brings it back in a fresh manager, as after a server restart
+    function restart(game) {
+      const snapshot = JSON.parse(JSON.stringify(game.toSnapshot()));
+      game.clearAllTimers();
+      const restarted = new GameManager({
+        llm: new MockProvider({ retries: 0 }),
+        store: { loadAll: () => [snapshot], save() {}, remove() {} },
+      });
+      assert.equal(restarted.restoreGames(() => () => {}), 1);
+      return { restarted, restored: restarted.getGame(game.roomCode) };
+    }
+
+    it('has bots answer the prompts they still owe', async () => {
+      const { game } = createTestGame(manager, { votingMode: 'pairs', maxRounds: 2, answerTime: 60 }, ['Alice', 'Bob']);
+      game.fillWithBots(4);
+      await game.startGame();
+      const { restarted, restored } = restart(game);
+      const bots = restored.players.filter((p) => p.isBot);
+
+      await tick(59);
+      bots.forEach((bot) => assert.equal(restored.getPendingPrompts(bot.id).length, 0, `${bot.name} has not answered`));
+      restarted.games.forEach((g) => g.clearAllTimers());
+    });
+
+    it('has bots vote in the match that was open', async () => {
+      const { game } = createTestGame(manager, { votingMode: 'individual', maxRounds: 3, voteTime: 30 }, ['Alice', 'Bob']);
+      game.fillWithBots(4);
+      await game.startGame();
+      answerAll(game);
+      assert.equal(game.state, 'voting');
+      const { restarted, restored } = restart(game);
+      const bots = restored.players.filter((p) => p.isBot);
+      const voted = new Set();
+      const submitVote = restored.submitVote.bind(restored);
+      restored.submitVote = (playerId, voteId) => {
+        if (restored.currentMatchIndex === 0) voted.add(playerId);
+        return submitVote(playerId, voteId);
+      };
+
+      await tick(29);
+      bots.forEach((bot) => assert.ok(voted.has(bot.id), `${bot.name} has not voted`));
+      restarted.games.forEach((g) => g.clearAllTimers());
+    });
+  });
+
+  it('batches snapshot writes from a burst of changes', async () => {
+    const saved = [];
+    const saving = new GameManager({ llm: new MockProvider({ retries: 0 }), store: { loadAll: () => [], save: (snapshot) => saved.push(snapshot), remove() {} } });
+    const { game } = createTestGame(saving, { votingMode: 'pairs', maxRounds: 2 });
+    await game.startGame();
+    answerAll(game);
+    assert.equal(saved.length, 0);
+
+    await tick();
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].state, 'voting');
+    saving.games.forEach((g) => g.clearAllTimers());
+  });
+
+  it('starts over in the same room with play again', async () => {
+    const { game } = createTestGame(manager, { votingMode: 'pairs', maxRounds: 2 });
+    const firstId = game.getHistoryId();
+    await game.startGame();
+    await playUntilFinished(game, () => {
+      if (game.state === 'answering') answerAll(game);
+    });
+
+    game.restart({ maxRounds: 3 });
+    assert.equal(game.state, 'waiting');
+    assert.equal(game.settings.maxRounds, 3);
+    assert.notEqual(game.getHistoryId(), firstId);
+    game.players.forEach((p) => assert.equal(p.score, 0));
+  });
+});
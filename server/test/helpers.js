@@ -0,0 +1,132 @@
+const fs = require('fs');
+const { mock } = require('node:test');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+const GameManager = require('../gameManager');
+const { MockProvider } = require('../llmProvider');
+const { createGameServer } = require('../index');
+
+const EVENT_TIMEOUT = 5000;
+
+// A GameManager with the offline mock LLM and no persistence
+function createTestManager(responder = null) {
+  return new GameManager({ llm: new MockProvider({ retries: 0 }, responder) });
+}
+
+/**
+ * A game in `manager` with `playerNames` already joined. Every emitted event is recorded in
+ * `events` as [event, data]; `eventsNamed(name)` returns the payloads of one kind.
+ */
+function createTestGame(manager, settings = {}, playerNames = ['Alice', 'Bob', 'Cara']) {
+  const events = [];
+  const roomCode = manager.createGame('Test Game', 'host-socket', 'Host', settings, (event, data) => events.push([event, data]));
+  const game = manager.getGame(roomCode);
+  playerNames.forEach((name, i) => manager.addPlayer(roomCode, name, `socket-${i}`));
+  const eventsNamed = (name) => events.filter(([event]) => event === name).map(([, data]) => data);
+  return { game, roomCode, events, eventsNamed };
+}
+
+// Answer every open prompt of the current phase
+function answerAll(game, text = 'An answer') {
+  game.getPendingPrompts().forEach((p) => game.submitAnswer(p.playerId, p.promptId, `${text} from ${p.playerId}`));
+}
+
+// A valid vote for `voterId` in the current match: the first candidate in `preference`
+// order (player ids) that isn't the voter, as a medal vote in the final round
+function pickVote(game, voterId, preference = game.players.map((p) => p.id)) {
+  const match = game.votingMatches[game.currentMatchIndex];
+  const candidates = game.state === 'tiebreaker' ? game.tiebreakerPlayers : game.getMatchCandidates(match);
+  const choice = preference.find((id) => id !== voterId && candidates.includes(id));
+  return game.state === 'voting' && match.mode === 'medals' ? [choice, choice, choice] : choice;
+}
+
+// Let pending promise callbacks (mock LLM replies, prompt top-ups) run
+function flushPromises() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+// Game timers poll Date.now() from a 1s interval, so with mock.timers enabled for both
+// (setInterval, setTimeout and Date) they are moved on together, a second at a time
+async function tick(seconds = 1) {
+  for (let i = 0; i < seconds; i++) {
+    mock.timers.tick(1000);
+    await flushPromises();
+  }
+}
+
+// Starts a server on a random port with its data in a temp directory
+async function startTestServer() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quiplash-test-'));
+  const instance = createGameServer({
+    dataDir,
+    llm: new MockProvider({ retries: 0 }),
+    sessionSecret: 'test-secret',
+  });
+  await new Promise((resolve) => instance.server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${instance.server.address().port}`;
+
+  const clients = [];
+  return {
+    ...instance,
+    dataDir,
+    url,
+    async connectClient() {
+      const socket = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+      clients.push(socket);
+      await waitForEvent(socket, 'connect');
+      return socket;
+    },
+    async stop() {
+      clients.forEach((socket) => socket.disconnect());
+      await instance.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Resolves with the next `event` payload that passes `filter`; rejects on `error` or timeout
+function waitForEvent(socket, event, filter = () => true, timeout = EVENT_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Timed out waiting for "${event}"`));
+    }, timeout);
+    const onEvent = (data) => {
+      if (!filter(data)) return;
+      cleanup();
+      resolve(data);
+    };
+    const onError = (err) => {
+      if (event === 'error') return;
+      cleanup();
+      reject(new Error(`Server error while waiting for "${event}": ${err.code} ${err.message}`));
+    };
+    function cleanup() {
+      clearTimeout(timer);
+      socket.off(event, onEvent);
+      socket.off('error', onError);
+    }
+    socket.on(event, onEvent);
+    socket.on('error', onError);
+  });
+}
+
+// Emits `event` and resolves with the `error` the server answers with
+function expectError(socket, event, payload) {
+  const error = waitForEvent(socket, 'error');
+  socket.emit(event, payload);
+  return error;
+}
+
+module.exports = {
+  createTestManager,
+  createTestGame,
+  answerAll,
+  pickVote,
+  flushPromises,
+  tick,
+  startTestServer,
+  waitForEvent,
+  expectError,
+};
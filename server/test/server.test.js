@@ -0,0 +1,217 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ERROR_CODES } = require('../validation');
+const { MockProvider } = require('../llmProvider');
+const { createGameServer } = require('../index');
+const { startTestServer, waitForEvent, expectError } = require('./helpers');
+
+// Host and players over real sockets. `maxRounds: 2` is one pairs round plus the medal round.
+async function setUpRoom(server, playerNames, settings = {}) {
+  const host = await server.connectClient();
+  host.emit('create-game', { playerName: 'Teacher', gameName: 'Class', maxRounds: 2, votingMode: 'pairs', ...settings });
+  const { roomCode, hostToken } = await waitForEvent(host, 'game-created');
+
+  const players = [];
+  for (const name of playerNames) {
+    const socket = await server.connectClient();
+    socket.emit('join-game', { roomCode, playerName: name });
+    const joined = await waitForEvent(socket, 'joined-game');
+    players.push({ name, socket, id: joined.playerId, token: joined.playerToken });
+  }
+  return { host, hostToken, roomCode, players };
+}
+
+/**
+ * Plays like a person would: answers every prompt it gets and votes for the first id in
+ * `preference` that it may vote for.
+ */
+function autoPlay(roomCode, player, preference) {
+  const answer = ({ prompts }) => {
+    prompts.filter((p) => p.playerId === player.id).forEach((p) => {
+      player.socket.emit('submit-answer', { roomCode, playerId: player.id, promptId: p.promptId, answer: `${player.name} says hi` });
+    });
+  };
+  const vote = ({ match, voters }) => {
+    if (!voters.includes(player.id)) return;
+    const candidates = match.player1 ? [match.player1.id, match.player2.id] : match.answers.map((a) => a.playerId);
+    const choice = preference().find((id) => id !== player.id && candidates.includes(id));
+    const voteId = match.mode === 'medals' ? [choice, choice, choice] : choice;
+    player.socket.emit('submit-vote', { roomCode, playerId: player.id, voteId });
+  };
+  player.socket.on('game-started', answer);
+  player.socket.on('start-answering', answer);
+  player.socket.on('start-voting', vote);
+}
+
+// The host skips the results and intermission screens so the test doesn't sit through them
+function skipBreaks(host, roomCode, hostToken) {
+  host.on('timer-start', ({ phase }) => {
+    if (['results', 'round-results', 'intermission'].includes(phase)) {
+      host.emit('timer-control', { roomCode, hostToken, action: 'skip' });
+    }
+  });
+}
+
+describe('game server', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('plays a full game from create to game-over over sockets', async () => {
+    const { host, hostToken, roomCode, players } = await setUpRoom(server, ['Alice', 'Bob', 'Cara']);
+    const preference = () => players.map((p) => p.id);
+    players.forEach((player) => autoPlay(roomCode, player, preference));
+    skipBreaks(host, roomCode, hostToken);
+
+    const gameOvers = players.map((p) => waitForEvent(p.socket, 'game-over', () => true, 15000));
+    const recap = waitForEvent(host, 'game-recap', () => true, 15000);
+    host.emit('start-game', { roomCode, hostToken });
+
+    const [gameOver] = await Promise.all(gameOvers);
+    assert.equal(gameOver.finalScores.length, 3);
+    assert.equal(gameOver.finalScores[0].name, 'Alice');
+    assert.equal((await recap).gameId, gameOver.gameId);
+
+    // The transcript lands in the history store
+    const historyFile = path.join(server.dataDir, 'history', `${gameOver.gameId}.json`);
+    assert.ok(fs.existsSync(historyFile));
+
+    // Only the game's host can read it back
+    const history = (route, token) => fetch(`${server.url}/api/history${route}`, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+    assert.equal((await history('')).status, 401);
+    assert.equal((await history(`/${gameOver.gameId}`, players[0].token)).status, 401);
+    const listed = await (await history('', hostToken)).json();
+    assert.deepEqual(listed.map((g) => g.id), [gameOver.gameId]);
+    const csv = await fetch(`${server.url}/api/history/${gameOver.gameId}/export?format=csv&token=${encodeURIComponent(hostToken)}`);
+    assert.equal(csv.status, 200);
+    assert.ok(!(await csv.text()).split('\r\n')[0].includes('original'));
+
+    // Transcripts from before hidden answers were dropped don't give them away either
+    const record = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+    record.id = `${gameOver.gameId}-9`;
+    record.matches[0].answers[0].originalAnswer = 'Something rude';
+    fs.writeFileSync(path.join(server.dataDir, 'history', `${record.id}.json`), JSON.stringify(record));
+    const old = await (await history(`/${record.id}`, hostToken)).text();
+    assert.ok(!old.includes('Something rude'));
+
+    const other = await setUpRoom(server, ['Zed']);
+    assert.equal((await history(`/${gameOver.gameId}`, other.hostToken)).status, 404);
+    assert.deepEqual(await (await history('', other.hostToken)).json(), []);
+  });
+
+  it('lets a player reconnect mid-round with their token and carry on', async () => {
+    const { host, hostToken, roomCode, players } = await setUpRoom(server, ['Dan', 'Eve', 'Fay']);
+    const [dan, ...others] = players;
+    others.forEach((player) => autoPlay(roomCode, player, () => players.map((p) => p.id)));
+
+    const started = waitForEvent(dan.socket, 'game-started');
+    host.emit('start-game', { roomCode, hostToken });
+    await started;
+
+    // Dan drops before answering and comes back on a new connection
+    dan.socket.disconnect();
+    const socket = await server.connectClient();
+    const catchUp = waitForEvent(socket, 'start-answering');
+    socket.emit('join-game', { roomCode, playerName: 'Dan', playerToken: dan.token });
+    const joined = await waitForEvent(socket, 'joined-game');
+    assert.equal(joined.playerId, dan.id);
+    assert.equal(joined.role, 'player');
+
+    const { prompts } = await catchUp;
+    assert.ok(prompts.length > 0);
+    assert.ok(prompts.every((p) => p.playerId === dan.id));
+
+    const voting = waitForEvent(host, 'start-voting');
+    prompts.forEach((p) => socket.emit('submit-answer', { roomCode, playerId: dan.id, promptId: p.promptId, answer: 'Back again' }));
+    await voting;
+    assert.equal(server.gameManager.getGame(roomCode).state, 'voting');
+  });
+
+  it('lets the host reconnect with the host token only', async () => {
+    const { hostToken, roomCode } = await setUpRoom(server, ['Gus', 'Hal']);
+
+    const newHost = await server.connectClient();
+    newHost.emit('host-reconnect', { roomCode, hostToken });
+    const { gameState } = await waitForEvent(newHost, 'game-created');
+    assert.equal(gameState.players.length, 2);
+
+    const error = await expectError(newHost, 'host-reconnect', { roomCode, hostToken: `${hostToken}x` });
+    assert.equal(error.code, ERROR_CODES.HOST_AUTH_FAILED);
+  });
+
+  it('plays a vocabulary round over sockets', async () => {
+    const vocabWords = ['cat', 'dog', 'sun'].map((word) => ({ word, definition: `Not a ${word}-free sentence.` }));
+    const { host, hostToken, roomCode, players } = await setUpRoom(server, ['Kim', 'Lou'], { gameType: 'vocab', vocabWords, maxRounds: 1 });
+    const tooFew = await expectError(host, 'create-game', { playerName: 'T', gameName: 'C', gameType: 'vocab', vocabWords: vocabWords.slice(0, 2) });
+    assert.equal(tooFew.code, ERROR_CODES.NOT_ENOUGH_WORDS);
+
+    const started = players.map((p) => waitForEvent(p.socket, 'game-started'));
+    host.emit('start-game', { roomCode, hostToken });
+    const [{ gameType, definitions }] = await Promise.all(started);
+    assert.equal(gameType, 'vocab');
+    const wordFor = (definitionId) => server.gameManager.getGame(roomCode).getWord(definitionId).word;
+
+    const [kim, lou] = players;
+    const checked = waitForEvent(kim.socket, 'match-checked');
+    kim.socket.emit('submit-match', { roomCode, playerId: kim.id, definitionId: definitions[0].id, word: 'nope' });
+    assert.equal((await checked).correct, false);
+
+    const results = waitForEvent(host, 'vocab-round-results');
+    [kim, lou].forEach((player) => definitions.forEach(({ id }) => {
+      player.socket.emit('submit-match', { roomCode, playerId: player.id, definitionId: id, word: wordFor(id) });
+    }));
+    const { standings, words } = await results;
+    assert.equal(words.length, 3);
+    assert.ok(standings.every((s) => s.matched === 3));
+  });
+
+  it('takes the fill-in bots back out when the game fails to start', async () => {
+    // The mock model's definitions all use these words, so none of them can be defined
+    const vocabWords = ['mock', 'meaning', 'number'].map((word) => ({ word }));
+    const { host, hostToken, roomCode } = await setUpRoom(server, ['Max'], { gameType: 'vocab', vocabWords, fillWithBots: 4 });
+    const game = server.gameManager.getGame(roomCode);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const error = await expectError(host, 'start-game', { roomCode, hostToken });
+      assert.equal(error.code, ERROR_CODES.NOT_ENOUGH_WORDS);
+      assert.equal(game.players.length, 1);
+      assert.equal(game.state, 'waiting');
+    }
+  });
+
+  it('rejects bad requests with error codes', async () => {
+    const { roomCode, players } = await setUpRoom(server, ['Ivy']);
+    const client = await server.connectClient();
+
+    assert.equal((await expectError(client, 'join-game', { roomCode: 'ZZZZ', playerName: 'Jo' })).code, ERROR_CODES.GAME_NOT_FOUND);
+    assert.equal((await expectError(client, 'join-game', { roomCode, playerName: '' })).code, ERROR_CODES.INVALID_PAYLOAD);
+    assert.equal((await expectError(client, 'join-game', { roomCode, playerName: 'Ivy' })).code, ERROR_CODES.NAME_TAKEN);
+    assert.equal((await expectError(client, 'start-game', { roomCode, hostToken: 'nope' })).code, ERROR_CODES.HOST_AUTH_FAILED);
+
+    // Acting for someone else's player id
+    const error = await expectError(client, 'choose-team', { roomCode, playerId: players[0].id, teamId: 'team-1' });
+    assert.equal(error.code, ERROR_CODES.NOT_YOUR_PLAYER);
+  });
+});
+
+describe('createGameServer', () => {
+  it('keeps the session secret in its own data directory', { skip: !!process.env.SESSION_SECRET }, async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quiplash-test-'));
+    const instance = createGameServer({ dataDir, llm: new MockProvider({ retries: 0 }) });
+    try {
+      assert.match(fs.readFileSync(path.join(dataDir, 'session-secret'), 'utf8'), /^[0-9a-f]{64}$/);
+    } finally {
+      await instance.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+});
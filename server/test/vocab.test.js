@@ -0,0 +1,201 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES } = require('../validation');
+const GameManager = require('../gameManager');
+const VocabGame = require('../vocabGame');
+const { createTestManager, createTestGame, flushPromises, tick } = require('./helpers');
+
+const WORDS = [
+  { word: 'apple', definition: 'A round fruit with red or green skin.' },
+  { word: 'river', definition: 'A long line of water that flows to the sea.' },
+  { word: 'chair', definition: 'A seat for one person, with a back.' },
+  { word: 'happy' }, // defined by the mock LLM
+];
+
+function createVocabGame(manager, settings = {}, playerNames = ['Alice', 'Bob']) {
+  return createTestGame(manager, { gameType: 'vocab', vocabWords: WORDS, wordsPerRound: 3, maxRounds: 2, ...settings }, playerNames);
+}
+
+// Every open definition matched by `playerId` with the right word
+function matchAll(game, playerId) {
+  game.roundWords.forEach((w) => {
+    if (!game.getProgress(playerId).matched.has(w.id)) {
+      assert.equal(game.submitMatch(playerId, w.id, w.word), null);
+    }
+  });
+}
+
+describe('VocabGame', () => {
+  let manager;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'] });
+    manager = createTestManager();
+  });
+
+  afterEach(() => {
+    manager.games.forEach((game) => game.clearAllTimers());
+    mock.timers.reset();
+  });
+
+  it('is created by GameManager for gameType vocab and fills in missing definitions', async () => {
+    const { game } = createVocabGame(manager);
+    assert.ok(game instanceof VocabGame);
+    assert.equal(await game.startGame(), null);
+
+    assert.equal(game.state, 'matching');
+    assert.equal(game.wordPool.length, 4);
+    const happy = game.wordPool.find((w) => w.word === 'happy');
+    assert.match(happy.definition, /^Mock meaning/);
+    assert.equal(game.getStartedPayload().definitions.length, 3);
+    assert.equal(game.getState().gameType, 'vocab');
+  });
+
+  it('plays every round to game-over when everyone matches their words', async () => {
+    const { game, eventsNamed } = createVocabGame(manager);
+    const [alice, bob] = game.players;
+    await game.startGame();
+
+    for (let round = 1; round <= 2; round++) {
+      matchAll(game, alice.id);
+      assert.equal(game.state, 'matching');
+      matchAll(game, bob.id);
+      assert.equal(game.state, 'round-results');
+      await tick(10);
+    }
+
+    assert.equal(game.state, 'finished');
+    assert.equal(eventsNamed('vocab-round-results').length, 2);
+    assert.equal(eventsNamed('vocab-round-start').length, 1);
+    const [gameOver] = eventsNamed('game-over');
+    assert.equal(gameOver.finalScores[0].name, 'Alice');
+    const [recap] = eventsNamed('game-recap');
+    assert.equal(recap.gameType, 'vocab');
+    assert.equal(recap.players.find((p) => p.id === alice.id).wordsMatched, 6);
+  });
+
+  it('pays a first-find bonus and takes points for wrong matches', async () => {
+    const { game, eventsNamed } = createVocabGame(manager);
+    const [alice, bob] = game.players;
+    await game.startGame();
+    const [first, second] = game.roundWords;
+
+    assert.equal(game.submitMatch(alice.id, first.id, first.word.toUpperCase()), null);
+    assert.equal(game.submitMatch(bob.id, first.id, first.word), null);
+    const aliceFirst = game.getPlayer(alice.id).score;
+    assert.equal(aliceFirst - game.getPlayer(bob.id).score, 25);
+
+    assert.equal(game.submitMatch(alice.id, second.id, first.word), null);
+    assert.equal(game.getPlayer(alice.id).score, aliceFirst - 10);
+    assert.equal(eventsNamed('match-checked').at(-1).correct, false);
+
+    assert.equal(game.submitMatch(alice.id, first.id, first.word), ERROR_CODES.ALREADY_MATCHED);
+    assert.equal(game.submitMatch(alice.id, 'w99', 'apple'), ERROR_CODES.INVALID_MATCH);
+  });
+
+  it('ends the round when the match timer runs out', async () => {
+    const { game, eventsNamed } = createVocabGame(manager, { answerTime: 30 });
+    await game.startGame();
+
+    await tick(30);
+    assert.equal(game.state, 'round-results');
+    const [results] = eventsNamed('vocab-round-results');
+    assert.equal(results.words.length, 3);
+    assert.ok(results.words.every((w) => w.firstFoundBy === null));
+    assert.equal(game.submitMatch(game.players[0].id, results.words[0].id, 'apple'), ERROR_CODES.WRONG_STATE);
+  });
+
+  it('will not start without enough defined words', async () => {
+    const manager = createTestManager((prompt, { task }) => (task === 'definition' ? 'I do not know.' : 'SAFE'));
+    const { game } = createVocabGame(manager, { vocabWords: [{ word: 'apple', definition: 'A fruit.' }, { word: 'zzyzx' }, { word: 'qwop' }] });
+    assert.equal(await game.startGame(), ERROR_CODES.NOT_ENOUGH_WORDS);
+    assert.equal(game.state, 'waiting');
+    assert.deepEqual(game.skippedWords, ['zzyzx', 'qwop']);
+  });
+
+  it('asks for a few definitions at a time and holds them to the CEFR rules', async () => {
+    let inFlight = 0;
+    let most = 0;
+    const manager = createTestManager(async (prompt, { task }) => {
+      if (task !== 'definition') return 'SAFE';
+      inFlight++;
+      most = Math.max(most, inFlight);
+      await flushPromises();
+      inFlight--;
+      const word = /word "([^"]+)"/.exec(prompt)[1];
+      return word === 'zebra'
+        ? 'Definition: A wild animal from Africa with black and white stripes.\nExample: The zebra runs.'
+        : `Definition: A thing to know.\nExample: I know ${word}.`;
+    });
+    const vocabWords = ['zebra', ...Array.from({ length: 9 }, (_, i) => `word${i}`)].map((word) => ({ word }));
+    const { game } = createVocabGame(manager, { vocabWords, cefrLevel: 'A1' });
+
+    assert.equal(await game.startGame(), null);
+    assert.ok(most <= 3, `${most} definition requests at once`);
+    // Ten words is too long a sentence for A1, and the dictionary has no zebra
+    assert.deepEqual(game.skippedWords, ['zebra']);
+    const retry = game.llm.calls.filter((c) => c.prompt.includes('"zebra"')).at(-1);
+    assert.match(retry.prompt, /rejected because "A wild animal .*" is longer than 8 words/);
+  });
+
+  it('restores a round in progress from a snapshot', async () => {
+    const { game } = createVocabGame(manager);
+    const [alice] = game.players;
+    await game.startGame();
+    const [first] = game.roundWords;
+    game.submitMatch(alice.id, first.id, first.word);
+
+    const restored = VocabGame.fromSnapshot(JSON.parse(JSON.stringify(game.toSnapshot())));
+    assert.ok(restored instanceof VocabGame);
+    assert.equal(restored.state, 'matching');
+    assert.deepEqual(restored.roundWords, game.roundWords);
+    const [[event, payload]] = restored.getCatchUpEvents(alice.id);
+    assert.equal(event, 'vocab-round-start');
+    assert.deepEqual(payload.matched, [{ definitionId: first.id, word: first.word }]);
+    restored.clearAllTimers();
+  });
+
+  it('has bots carry on matching after a restore', async () => {
+    const { game } = createVocabGame(manager, { answerTime: 60 }, ['Human']);
+    game.fillWithBots(3);
+    await game.startGame();
+    const snapshot = JSON.parse(JSON.stringify(game.toSnapshot()));
+    game.clearAllTimers();
+
+    const restarted = new GameManager({ llm: game.llm, store: { loadAll: () => [snapshot], save() {}, remove() {} } });
+    restarted.restoreGames(() => () => {});
+    const restored = restarted.getGame(game.roomCode);
+    await tick(59);
+    restored.players.filter((p) => p.isBot).forEach((bot) => {
+      assert.ok(restored.getProgress(bot.id).matched.size > 0, `${bot.name} matched nothing`);
+    });
+    restarted.games.forEach((g) => g.clearAllTimers());
+  });
+
+  it('keeps the word list on play again', async () => {
+    const { game } = createVocabGame(manager);
+    await game.startGame();
+    const pool = game.wordPool;
+
+    game.restart({ maxRounds: 3 });
+    assert.equal(game.state, 'waiting');
+    assert.equal(game.wordPool, pool);
+    game.restart({ vocabWords: WORDS.slice(0, 3) });
+    assert.deepEqual(game.wordPool, []);
+  });
+
+  it('lets bots play through the rounds', async () => {
+    const { game } = createVocabGame(manager, {}, ['Human']);
+    game.fillWithBots(3);
+    await game.startGame();
+
+    for (let i = 0; i < 300 && game.state !== 'finished'; i++) {
+      if (game.state === 'matching') matchAll(game, game.players[0].id);
+      await tick();
+    }
+    assert.equal(game.state, 'finished');
+    game.players.filter((p) => p.isBot).forEach((bot) => {
+      assert.ok(game.matchTotals().get(bot.id).wordsMatched > 0, `${bot.name} matched nothing`);
+    });
+  });
+});
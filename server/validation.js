@@ -0,0 +1,269 @@
+// Error codes sent to clients as `error { code, message }`
+const ERROR_CODES = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  GAME_NOT_FOUND: 'GAME_NOT_FOUND',
+  GAME_FULL: 'GAME_FULL',
+  SERVER_FULL: 'SERVER_FULL',
+  NAME_TAKEN: 'NAME_TAKEN',
+  INVALID_SESSION: 'INVALID_SESSION',
+  HOST_AUTH_FAILED: 'HOST_AUTH_FAILED',
+  NOT_YOUR_PLAYER: 'NOT_YOUR_PLAYER',
+  WRONG_STATE: 'WRONG_STATE',
+  PROMPT_NOT_ASSIGNED: 'PROMPT_NOT_ASSIGNED',
+  ALREADY_ANSWERED: 'ALREADY_ANSWERED',
+  NOT_ELIGIBLE_TO_VOTE: 'NOT_ELIGIBLE_TO_VOTE',
+  ALREADY_VOTED: 'ALREADY_VOTED',
+  INVALID_VOTE: 'INVALID_VOTE',
+  SELF_VOTE: 'SELF_VOTE',
+  INVALID_TEAM: 'INVALID_TEAM',
+  ANSWER_NOT_FLAGGED: 'ANSWER_NOT_FLAGGED',
+  PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+  ROOM_LOCKED: 'ROOM_LOCKED',
+  INVALID_TRANSFER_CODE: 'INVALID_TRANSFER_CODE',
+  NOT_ENOUGH_WORDS: 'NOT_ENOUGH_WORDS',
+  INVALID_MATCH: 'INVALID_MATCH',
+  ALREADY_MATCHED: 'ALREADY_MATCHED',
+  OUT_OF_PROMPTS: 'OUT_OF_PROMPTS',
+  ACTION_FAILED: 'ACTION_FAILED',
+};
+
+const ERROR_MESSAGES = {
+  INVALID_PAYLOAD: 'Invalid request.',
+  GAME_NOT_FOUND: 'Game not found',
+  GAME_FULL: 'Game is full',
+  SERVER_FULL: 'The server has no free rooms right now. Please try again later.',
+  NAME_TAKEN: 'That name is already taken in this game.',
+  INVALID_SESSION: 'Your saved session is no longer valid. Please join again.',
+  HOST_AUTH_FAILED: 'Only the host can do that.',
+  NOT_YOUR_PLAYER: 'You can only act for your own player.',
+  WRONG_STATE: 'That is not possible at this point in the game.',
+  PROMPT_NOT_ASSIGNED: 'That prompt was not given to you.',
+  ALREADY_ANSWERED: 'You already answered that prompt.',
+  NOT_ELIGIBLE_TO_VOTE: 'You cannot vote in this match.',
+  ALREADY_VOTED: 'You already voted in this match.',
+  INVALID_VOTE: 'That vote is not valid for this match.',
+  SELF_VOTE: 'You cannot vote for your own answer.',
+  INVALID_TEAM: 'That team does not exist in this game.',
+  ANSWER_NOT_FLAGGED: 'That answer is not waiting for review.',
+  PLAYER_NOT_FOUND: 'That player is no longer in the game.',
+  ROOM_LOCKED: 'The host has locked this game. Ask them to unlock it.',
+  INVALID_TRANSFER_CODE: 'That host transfer code is wrong or has expired.',
+  NOT_ENOUGH_WORDS: 'A vocabulary game needs at least 3 words with a definition.',
+  INVALID_MATCH: 'That definition is not part of this round.',
+  ALREADY_MATCHED: 'You already matched that definition.',
+  OUT_OF_PROMPTS: 'Every prompt has been played in this game. Pick more prompt packs or turn on AI prompts.',
+  ACTION_FAILED: 'Something went wrong. Please try again.',
+};
+
+class ValidationError extends Error {
+  constructor(code, message = ERROR_MESSAGES[code]) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = code;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message };
+  }
+}
+
+// --- Field rules: each returns true when the value is acceptable ---
+
+const isString = (min, max) => (value) => typeof value === 'string' && value.trim().length >= min && value.length <= max;
+const isInteger = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+const isBoolean = (value) => typeof value === 'boolean';
+const isOneOf = (values) => (value) => values.includes(value);
+const isArrayOf = (rule, max) => (value) => Array.isArray(value) && value.length <= max && value.every(rule);
+const optional = (rule) => (value) => value === undefined || value === null || rule(value);
+
+const isRoomCode = (value) => typeof value === 'string' && /^[A-Z]{4}$/i.test(value);
+const isId = isString(1, 64);
+const isToken = isString(1, 1024);
+const isPromptId = (value) => isInteger(0, Number.MAX_SAFE_INTEGER)(value) || isId(value);
+const isVote = (value) => isId(value) || isArrayOf(isId, 10)(value);
+const isWordEntry = (value) => !!value && typeof value === 'object' && isString(1, MAX_WORD_LENGTH)(value.word) &&
+  optional(isString(1, MAX_DEFINITION_LENGTH))(value.definition) && optional(isString(1, MAX_DEFINITION_LENGTH))(value.example);
+
+const MAX_ANSWER_LENGTH = 150;
+
+// Vocabulary game word lists
+const MAX_WORD_LENGTH = 40;
+const MAX_DEFINITION_LENGTH = 300;
+const MAX_VOCAB_WORDS = 100;
+
+// Payload schema for every client event. Unknown fields are dropped.
+const SCHEMAS = {
+  'create-game': {
+    playerName: isString(1, 30),
+    gameName: isString(1, 50),
+    gameType: optional(isOneOf(['party', 'vocab'])),
+    vocabWords: optional(isArrayOf(isWordEntry, MAX_VOCAB_WORDS)),
+    wordsPerRound: optional(isInteger(2, 10)),
+    maxRounds: optional(isInteger(1, 20)),
+    votingMode: optional(isOneOf(['individual', 'pairs', 'thriples'])),
+    cefrLevel: optional(isOneOf(['A1', 'A2', 'B1', 'B2', 'C1'])),
+    answerTime: optional(isInteger(5, 600)),
+    voteTime: optional(isInteger(5, 600)),
+    promptPacks: optional(isArrayOf(isId, 50)),
+    aiPrompts: optional(isBoolean),
+    familyMode: optional(isBoolean),
+    ageGroup: optional(isOneOf(['kids', 'teens', 'adults'])),
+    llmModeration: optional(isBoolean),
+    teamCount: optional(isOneOf([0, 2, 3, 4])),
+    scoring: optional(isOneOf(['classic', 'casual', 'speed', 'no-bonus'])),
+    fillWithBots: optional(isInteger(0, 8)),
+    debug: optional(isBoolean),
+  },
+  'join-game': {
+    roomCode: isRoomCode,
+    playerName: isString(1, 20),
+    playerToken: optional(isToken),
+    asAudience: optional(isBoolean),
+  },
+  'host-reconnect': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+  },
+  'submit-answer': {
+    roomCode: isRoomCode,
+    playerId: isId,
+    promptId: isPromptId,
+    answer: isString(1, MAX_ANSWER_LENGTH),
+  },
+  'submit-vote': {
+    roomCode: isRoomCode,
+    playerId: isId,
+    voteId: isVote,
+  },
+  'submit-match': {
+    roomCode: isRoomCode,
+    playerId: isId,
+    definitionId: isId,
+    word: isString(1, MAX_WORD_LENGTH),
+  },
+  'add-bot': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+  },
+  'remove-bot': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+  },
+  'choose-team': {
+    roomCode: isRoomCode,
+    playerId: isId,
+    teamId: isId,
+  },
+  'balance-teams': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+  },
+  'start-game': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+  },
+  'moderate-answer': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+    playerId: isId,
+    promptId: isPromptId,
+    action: isOneOf(['approve', 'hide', 'replace']),
+    replacement: optional(isString(1, MAX_ANSWER_LENGTH)),
+  },
+  'kick-player': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+    playerId: isId,
+  },
+  'rename-player': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+    playerId: isId,
+    playerName: isString(1, 20),
+  },
+  'lock-room': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+    locked: isBoolean,
+  },
+  'start-host-transfer': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+  },
+  'claim-host': {
+    roomCode: isRoomCode,
+    transferCode: isString(4, 12),
+  },
+  'restart-game': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+    maxRounds: optional(isInteger(1, 20)),
+    cefrLevel: optional(isOneOf(['A1', 'A2', 'B1', 'B2', 'C1'])),
+    votingMode: optional(isOneOf(['individual', 'pairs', 'thriples'])),
+    vocabWords: optional(isArrayOf(isWordEntry, MAX_VOCAB_WORDS)),
+  },
+  'timer-control': {
+    roomCode: isRoomCode,
+    hostToken: isToken,
+    action: isOneOf(['pause', 'resume', 'extend', 'skip']),
+    seconds: optional(isInteger(1, 300)),
+  },
+};
+
+// Game states in which each event makes sense; events not listed are allowed in any state
+const ALLOWED_STATES = {
+  'start-game': ['waiting'],
+  'add-bot': ['waiting'],
+  'remove-bot': ['waiting'],
+  'choose-team': ['waiting'],
+  'balance-teams': ['waiting'],
+  'submit-answer': ['answering', 'tiebreaker-answering'],
+  'submit-vote': ['voting', 'tiebreaker'],
+  'submit-match': ['matching'],
+  'moderate-answer': ['moderation'],
+  'restart-game': ['finished'],
+};
+
+/**
+ * Check `payload` against the schema for `event` and return a copy holding only the known
+ * fields (strings trimmed). Throws ValidationError naming the first bad field.
+ */
+function validatePayload(event, payload) {
+  const schema = SCHEMAS[event];
+  if (!schema) {
+    throw new ValidationError(ERROR_CODES.INVALID_PAYLOAD, `Unknown event "${event}".`);
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new ValidationError(ERROR_CODES.INVALID_PAYLOAD);
+  }
+
+  const data = {};
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = payload[field];
+    if (!rule(value)) {
+      throw new ValidationError(ERROR_CODES.INVALID_PAYLOAD, `Invalid or missing "${field}".`);
+    }
+    if (value !== undefined && value !== null) {
+      data[field] = typeof value === 'string' ? value.trim() : value;
+    }
+  });
+  if (data.roomCode) {
+    data.roomCode = data.roomCode.toUpperCase();
+  }
+  return data;
+}
+
+function checkGameState(event, game) {
+  const allowed = ALLOWED_STATES[event];
+  if (allowed && !allowed.includes(game.state)) {
+    throw new ValidationError(ERROR_CODES.WRONG_STATE);
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  MAX_ANSWER_LENGTH,
+  ValidationError,
+  validatePayload,
+  checkGameState,
+};
@@ -0,0 +1,550 @@
+const { Game } = require('./gameManager');
+const { ERROR_CODES } = require('./validation');
+const { botDelay } = require('./bots');
+const { shuffle } = require('./random');
+const { getLevelRules, validateDefinition } = require('./definitionRules');
+
+// A vocabulary game needs at least this many words with a definition to be worth playing
+const MIN_WORDS = 3;
+const DEFAULT_WORDS_PER_ROUND = 5;
+
+// How long (seconds) the words and scores of a round stay up before the next one starts
+const ROUND_RESULTS_TIME = 8;
+
+// Points for a correct match: the base, up to SPEED_BONUS more the earlier in the round it
+// comes, and a bonus for the first player to find that word. Wrong matches cost a little.
+const MATCH_POINTS = 100;
+const SPEED_BONUS = 50;
+const FIRST_FIND_BONUS = 25;
+const MISTAKE_PENALTY = 10;
+
+// How often bots pick the right word; learner bots slip up more
+const BOT_ACCURACY = { learner: 0.6, default: 0.85 };
+
+// Definition requests in flight at once while a game starts: a single local model serves
+// them one or two at a time, so a whole word list at once would mostly time out
+const DEFINITION_WORKERS = 3;
+// Tries per word, each told what was wrong with the last, before the dictionary is used
+const DEFINITION_ATTEMPTS = 2;
+
+// Definitions shared with the browser game (data/dictionary.json), used when the LLM is unavailable
+const DICTIONARY = loadDictionary();
+
+/**
+ * Vocabulary match (settings.gameType 'vocab'): the host brings a word list and every round
+ * each player's phone shows a few definitions to match to their words, as fast as they can.
+ * Lobby, players, teams, bots, timers, persistence and history all come from Game; this
+ * class replaces the answering and voting rounds.
+ *
+ * Extra settings: vocabWords [{ word, definition?, example? }] and wordsPerRound. The match
+ * time per round is answerTime. Words without a definition get one from the LLM (or the
+ * bundled dictionary) when the game starts.
+ */
+class VocabGame extends Game {
+  constructor(...args) {
+    super(...args);
+    this.settings.wordsPerRound = this.settings.wordsPerRound || DEFAULT_WORDS_PER_ROUND;
+    this.resetVocab();
+  }
+
+  resetVocab() {
+    this.wordPool = []; // [{ id, word, definition, example }] once definitions are ready
+    this.skippedWords = []; // words nobody could define
+    this.wordQueue = []; // pool ids not yet played, dealt from the front
+    this.roundWords = []; // this round's pool entries, in the order definitions are shown
+    this.roundWordOrder = []; // this round's words, shuffled separately from the definitions
+    this.roundStartedAt = null;
+    this.progress = new Map(); // playerId -> { matched: Map(wordId -> word), mistakes, points, finishedAt }
+    this.firstFinds = new Map(); // wordId -> playerId, this round
+    this.wordStats = new Map(); // wordId -> { matched, mistakes } over the whole game
+    this.roundStandings = []; // getStandings() at the end of every round
+    this.roundResults = null; // payload of the last vocab-round-results, for reconnects
+  }
+
+  // Returns null once round 1 is under way, or NOT_ENOUGH_WORDS
+  async startGame() {
+    if (this.wordPool.length === 0) {
+      await this.prepareWords();
+    }
+    if (this.wordPool.length < MIN_WORDS) return ERROR_CODES.NOT_ENOUGH_WORDS;
+
+    this.startedAt = Date.now();
+    this.round = 1;
+    this.startRound();
+    return null;
+  }
+
+  async prepareWords() {
+    const cefrLevel = this.settings.cefrLevel || 'B1';
+    const entries = dedupeWords(this.settings.vocabWords || []);
+    // Once the model fails to answer, the remaining words go straight to the dictionary
+    const model = { down: false };
+    const defined = await mapWithLimit(entries, DEFINITION_WORKERS, async (entry) => {
+      if (entry.definition) return entry;
+      const generated = await defineWord(this.llm, entry.word, cefrLevel, model);
+      return generated ? { ...entry, ...generated } : null;
+    });
+
+    this.wordPool = [];
+    this.skippedWords = [];
+    defined.forEach((entry, i) => {
+      if (!entry) {
+        this.skippedWords.push(entries[i].word);
+        return;
+      }
+      this.wordPool.push({ id: `w${i + 1}`, word: entry.word, definition: entry.definition, example: entry.example || '' });
+    });
+    this.wordQueue = [];
+  }
+
+  // Deals the next words (reshuffling the pool once every word has been played) and starts the clock
+  startRound() {
+    const count = Math.min(this.settings.wordsPerRound, this.wordPool.length);
+    const words = [];
+    while (words.length < count) {
+      if (this.wordQueue.length === 0) {
+        this.wordQueue = shuffle(this.wordPool.map((w) => w.id));
+      }
+      const id = this.wordQueue.shift();
+      if (!words.includes(id)) words.push(id);
+    }
+
+    this.state = 'matching';
+    this.roundWords = words.map((id) => this.getWord(id));
+    this.roundWordOrder = shuffle(this.roundWords.map((w) => w.word));
+    this.roundStartedAt = Date.now();
+    this.progress.clear();
+    this.firstFinds.clear();
+    this.roundResults = null;
+    this.startTimer('match', this.settings.answerTime);
+    this.simulateBotMatches();
+  }
+
+  getWord(wordId) {
+    return this.wordPool.find((w) => w.id === wordId);
+  }
+
+  getProgress(playerId) {
+    if (!this.progress.has(playerId)) {
+      this.progress.set(playerId, { matched: new Map(), mistakes: 0, points: 0, finishedAt: null });
+    }
+    return this.progress.get(playerId);
+  }
+
+  /**
+   * A player pairs one of this round's definitions with a word. Wrong guesses are not errors:
+   * they cost points and the player tries again. The player hears back in `match-checked`,
+   * everyone sees the standings in `vocab-progress`. Returns null or an ERROR_CODES entry.
+   */
+  submitMatch(playerId, definitionId, word) {
+    const player = this.getPlayer(playerId);
+    if (!player) return ERROR_CODES.PLAYER_NOT_FOUND;
+    if (this.state !== 'matching') return ERROR_CODES.WRONG_STATE;
+    const target = this.roundWords.find((w) => w.id === definitionId);
+    if (!target) return ERROR_CODES.INVALID_MATCH;
+    const progress = this.getProgress(playerId);
+    if (progress.matched.has(definitionId)) return ERROR_CODES.ALREADY_MATCHED;
+
+    const stats = this.wordStats.get(definitionId) || { matched: 0, mistakes: 0 };
+    this.wordStats.set(definitionId, stats);
+    const correct = sameWord(word, target.word);
+    let points;
+    if (correct) {
+      points = MATCH_POINTS + this.getSpeedBonus();
+      if (!this.firstFinds.has(definitionId)) {
+        points += FIRST_FIND_BONUS;
+        this.firstFinds.set(definitionId, playerId);
+      }
+      progress.matched.set(definitionId, target.word);
+      stats.matched++;
+      if (progress.matched.size === this.roundWords.length) {
+        progress.finishedAt = Date.now();
+      }
+    } else {
+      points = -Math.min(MISTAKE_PENALTY, player.score);
+      progress.mistakes++;
+      stats.mistakes++;
+    }
+    progress.points += points;
+    this.awardPoints(player, points);
+    this.persist();
+
+    if (this.emit && player.socketId) {
+      this.emit('match-checked', {
+        definitionId,
+        word,
+        correct,
+        points,
+        score: player.score,
+        matched: progress.matched.size,
+        total: this.roundWords.length,
+      }, player.socketId);
+    }
+    if (this.emit) {
+      this.emit('vocab-progress', { round: this.round, standings: this.getStandings() });
+    }
+
+    if (this.allPlayersFinished()) {
+      this.clearTimer('match');
+      this.endRound();
+    }
+    return null;
+  }
+
+  // The earlier in the round, the bigger the bonus
+  getSpeedBonus() {
+    const timer = this.timers.get('match');
+    if (!timer) return 0;
+    const remaining = timer.paused ? timer.remaining : Math.max(0, timer.endTime - Date.now());
+    return Math.round(SPEED_BONUS * (remaining / timer.duration));
+  }
+
+  allPlayersFinished() {
+    return this.players.length > 0 &&
+      this.players.every((p) => this.getProgress(p.id).matched.size >= this.roundWords.length);
+  }
+
+  // Everyone's progress this round, best score first
+  getStandings() {
+    return this.players
+      .map((p) => {
+        const progress = this.getProgress(p.id);
+        return {
+          id: p.id,
+          name: p.name,
+          teamId: p.teamId,
+          score: p.score,
+          matched: progress.matched.size,
+          total: this.roundWords.length,
+          mistakes: progress.mistakes,
+          points: progress.points,
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  endRound() {
+    this.state = 'round-results';
+    this.roundScores.push({
+      round: this.round,
+      scores: this.players.map((p) => ({ id: p.id, name: p.name, score: p.score })),
+    });
+    this.roundStandings.push(this.getStandings());
+    this.roundResults = {
+      round: this.round,
+      maxRounds: this.settings.maxRounds,
+      isFinal: this.isFinalRound(),
+      words: this.roundWords.map(({ id, word, definition, example }) => ({
+        id,
+        word,
+        definition,
+        example,
+        firstFoundBy: this.getPlayer(this.firstFinds.get(id))?.name || null,
+      })),
+      standings: this.getStandings(),
+      teamStandings: this.getTeamStandings(),
+    };
+    if (this.emit) {
+      this.emit('vocab-round-results', this.roundResults);
+    }
+    this.startTimer('round-results', ROUND_RESULTS_TIME);
+  }
+
+  advanceAfterRoundResults() {
+    if (!this.isFinalRound()) {
+      this.round++;
+      this.startRound();
+      if (this.emit) {
+        this.emit('vocab-round-start', this.getRoundPayload());
+      }
+      return;
+    }
+
+    // Ties are shared: there is no sudden death in a vocabulary game
+    this.finishGame();
+  }
+
+  handleTimerEnd(timerName) {
+    this.clearTimer(timerName);
+
+    if (timerName === 'match' && this.state === 'matching') {
+      this.endRound();
+    } else if (timerName === 'round-results' && this.state === 'round-results') {
+      this.advanceAfterRoundResults();
+    }
+  }
+
+  getActiveTimerName() {
+    if (this.state === 'matching') {
+      return this.timers.has('match') ? 'match' : null;
+    }
+    return super.getActiveTimerName();
+  }
+
+  // A player leaving may leave everyone else finished
+  advanceIfPhaseComplete() {
+    if (this.state === 'matching' && this.allPlayersFinished()) {
+      this.clearTimer('match');
+      this.endRound();
+    }
+  }
+
+  // Bots work through the definitions one by one at a human-ish pace, sometimes guessing wrong
+  simulateBotMatches() {
+    const { round } = this;
+    const secondsPerWord = this.settings.answerTime / Math.max(1, this.roundWords.length);
+    const accuracy = (bot) => BOT_ACCURACY[bot.personality] || BOT_ACCURACY.default;
+
+    const takeTurn = (bot) => {
+      if (this.round !== round || this.state !== 'matching' || !this.getPlayer(bot.id)) return;
+      const progress = this.getProgress(bot.id);
+      const open = this.roundWords.filter((w) => !progress.matched.has(w.id));
+      if (open.length === 0) return;
+
+      const target = open[Math.floor(Math.random() * open.length)];
+      const wrongWords = this.roundWordOrder.filter((w) => w !== target.word);
+      const guess = Math.random() < accuracy(bot) || wrongWords.length === 0
+        ? target.word
+        : wrongWords[Math.floor(Math.random() * wrongWords.length)];
+      this.submitMatch(bot.id, target.id, guess);
+      this.scheduleBotAction(botDelay('answer', secondsPerWord, this.botDelayScale), () => takeTurn(bot));
+    };
+
+    this.players.filter((p) => p.isBot).forEach((bot) => {
+      this.scheduleBotAction(botDelay('answer', secondsPerWord, this.botDelayScale), () => takeTurn(bot));
+    });
+  }
+
+  resumeBots() {
+    if (this.state === 'matching') this.simulateBotMatches();
+  }
+
+  /**
+   * What a phone needs to play the current round: the definitions (without their words), the
+   * round's words in a separate shuffled order, and the matches `playerId` already made.
+   */
+  getRoundPayload(playerId = null) {
+    const progress = playerId && this.progress.get(playerId);
+    return {
+      gameType: 'vocab',
+      round: this.round,
+      maxRounds: this.settings.maxRounds,
+      definitions: this.roundWords.map(({ id, definition }) => ({ id, definition })),
+      words: this.roundWordOrder,
+      matched: progress ? Array.from(progress.matched, ([definitionId, word]) => ({ definitionId, word })) : [],
+      standings: this.getStandings(),
+    };
+  }
+
+  // Sent with `game-started` in place of the answering prompts
+  getStartedPayload() {
+    return this.getRoundPayload();
+  }
+
+  getCatchUpEvents(playerId = null) {
+    switch (this.state) {
+      case 'matching':
+        return [['vocab-round-start', this.getRoundPayload(playerId)]];
+      case 'round-results':
+        return this.roundResults ? [['vocab-round-results', this.roundResults]] : [];
+      case 'finished':
+        return super.getCatchUpEvents(playerId);
+      default:
+        return [];
+    }
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      wordCount: this.wordPool.length || (this.settings.vocabWords || []).length,
+      wordsPerRound: this.settings.wordsPerRound,
+      skippedWords: this.skippedWords,
+    };
+  }
+
+  // Play again keeps the word list (or takes a new one in `changes.vocabWords`)
+  restart(changes = {}) {
+    const newWords = !!changes.vocabWords ||
+      (changes.cefrLevel && changes.cefrLevel !== this.settings.cefrLevel);
+    const pool = this.wordPool;
+    const skipped = this.skippedWords;
+    super.restart(changes);
+    this.resetVocab();
+    if (!newWords) {
+      this.wordPool = pool;
+      this.skippedWords = skipped;
+    }
+    this.persist();
+  }
+
+  // The usual highlights, plus how each player did with the words and which words were hardest
+  getRecap() {
+    const recap = super.getRecap();
+    const totals = this.matchTotals();
+    recap.gameType = 'vocab';
+    recap.players = recap.players.map((p) => ({ ...p, ...(totals.get(p.id) || { wordsMatched: 0, mistakes: 0 }) }));
+    recap.hardestWords = Array.from(this.wordStats, ([id, stats]) => ({ ...this.getWord(id), ...stats }))
+      .filter((w) => w.mistakes > 0)
+      .sort((a, b) => b.mistakes - a.mistakes)
+      .slice(0, 5);
+    return recap;
+  }
+
+  // playerId -> { wordsMatched, mistakes } over every round, from the rounds' standings
+  matchTotals() {
+    const totals = new Map();
+    const add = (id, matched, mistakes) => {
+      const total = totals.get(id) || { wordsMatched: 0, mistakes: 0 };
+      total.wordsMatched += matched;
+      total.mistakes += mistakes;
+      totals.set(id, total);
+    };
+    this.roundStandings.forEach((standings) => standings.forEach((s) => add(s.id, s.matched, s.mistakes)));
+    return totals;
+  }
+
+  toHistoryRecord() {
+    const record = super.toHistoryRecord();
+    const totals = this.matchTotals();
+    record.settings.gameType = 'vocab';
+    record.words = this.wordPool.map(({ word, definition, example }) => ({ word, definition, example }));
+    record.players = record.players.map((p) => ({ ...p, ...(totals.get(p.id) || { wordsMatched: 0, mistakes: 0 }) }));
+    return record;
+  }
+
+  toSnapshot() {
+    return {
+      ...super.toSnapshot(),
+      vocab: {
+        wordPool: this.wordPool,
+        skippedWords: this.skippedWords,
+        wordQueue: this.wordQueue,
+        roundWords: this.roundWords,
+        roundWordOrder: this.roundWordOrder,
+        roundStartedAt: this.roundStartedAt,
+        progress: Array.from(this.progress, ([playerId, p]) => [playerId, { ...p, matched: Array.from(p.matched) }]),
+        firstFinds: Array.from(this.firstFinds),
+        wordStats: Array.from(this.wordStats),
+        roundResults: this.roundResults,
+        roundStandings: this.roundStandings,
+      },
+    };
+  }
+
+  static fromSnapshot(snapshot, emitFunction = null) {
+    const game = super.fromSnapshot(snapshot, emitFunction);
+    const vocab = snapshot.vocab || {};
+    game.wordPool = vocab.wordPool || [];
+    game.skippedWords = vocab.skippedWords || [];
+    game.wordQueue = vocab.wordQueue || [];
+    game.roundWords = vocab.roundWords || [];
+    game.roundWordOrder = vocab.roundWordOrder || [];
+    game.roundStartedAt = vocab.roundStartedAt || null;
+    game.progress = new Map((vocab.progress || []).map(([playerId, p]) => [playerId, { ...p, matched: new Map(p.matched) }]));
+    game.firstFinds = new Map(vocab.firstFinds || []);
+    game.wordStats = new Map(vocab.wordStats || []);
+    game.roundResults = vocab.roundResults || null;
+    game.roundStandings = vocab.roundStandings || [];
+    return game;
+  }
+}
+
+VocabGame.MIN_WORDS = MIN_WORDS;
+
+module.exports = VocabGame;
+
+// --- Word helpers ---
+
+// Typed and listed words compare without case or extra spaces
+function sameWord(a, b) {
+  const normalise = (s) => String(s).trim().toLowerCase().replace(/\s+/g, ' ');
+  return normalise(a) === normalise(b);
+}
+
+// The first entry wins when the host lists a word twice
+function dedupeWords(entries) {
+  const seen = new Set();
+  return entries.filter((entry) => {
+    const key = entry.word.trim().toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// --- Definition helpers ---
+
+/**
+ * A learner-friendly { definition, example } for `word` from the LLM that passes the CEFR
+ * rules of the browser game, or from the bundled dictionary when the model is down or keeps
+ * breaking them. Null if neither has one. Sets `model.down` when the model does not answer.
+ */
+async function defineWord(llm, word, cefrLevel, model) {
+  let problems = [];
+  for (let attempt = 1; attempt <= DEFINITION_ATTEMPTS && !model.down; attempt++) {
+    let reply;
+    try {
+      reply = await llm.generate(definitionPrompt(word, cefrLevel, problems), { task: 'definition' });
+    } catch (err) {
+      console.warn(`Could not generate a definition for "${word}", using the dictionary: ${err.message}`);
+      model.down = true;
+      break;
+    }
+    const parsed = parseDefinition(reply);
+    problems = parsed ? validateDefinition(parsed, word, cefrLevel) : ['it did not use the "Definition:" and "Example:" lines'];
+    if (parsed && problems.length === 0) return parsed;
+  }
+
+  const key = word.trim().toLowerCase();
+  const entry = [key, key.replace(/s$/, ''), key.replace(/es$/, '')].map((k) => DICTIONARY[k]).find(Boolean);
+  return entry ? { definition: entry.definition, example: entry.example } : null;
+}
+
+function definitionPrompt(word, cefrLevel, problems) {
+  const rules = getLevelRules(cefrLevel);
+  const lines = [
+    `Write a definition of the English word "${word}" for a learner at CEFR level ${cefrLevel}.`,
+    `Use at most ${rules.max_sentence_length} words per sentence and no word longer than ${rules.max_word_length} letters.`,
+    `Do not use the word "${word}" itself in the definition. Then write one short example sentence that uses the word.`,
+    'Reply in exactly this format:',
+    'Definition: <one sentence>',
+    'Example: <one sentence>',
+  ];
+  if (problems.length > 0) {
+    lines.push(`Your last answer was rejected because ${problems.join('; ')}. Try again.`);
+  }
+  return lines.join('\n');
+}
+
+function parseDefinition(reply) {
+  const text = String(reply || '').replace(/\*\*/g, '');
+  const definition = /definition:\s*(.+)/i.exec(text);
+  const example = /example:\s*(.+)/i.exec(text);
+  if (!definition) return null;
+  const clean = (s) => s.trim().replace(/^["']|["']$/g, '').trim();
+  return { definition: clean(definition[1]), example: example ? clean(example[1]) : '' };
+}
+
+// `fn` over every item with at most `limit` calls running at once; results keep the items' order
+async function mapWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// A server deployed without the shared data/ directory relies on the LLM alone
+function loadDictionary() {
+  try {
+    return require('../data/dictionary.json');
+  } catch {
+    return {};
+  }
+}
@@ -0,0 +1,24 @@
+import { Actor, BaseAlign, Color, Font, Label, Rectangle, TextAlign, type Vector } from 'excalibur';
+
+const BUTTON_COLOR = Color.fromHex('#1E5AD6');
+const BUTTON_HOVER_COLOR = Color.fromHex('#3D7BFF');
+
+// A clickable box with a caption, drawn in the canvas
+export class Button extends Actor {
+  constructor(text: string, pos: Vector, onClick: () => void, width = 200) {
+    super({ pos, width, height: 48 });
+    const normal = new Rectangle({ width, height: 48, color: BUTTON_COLOR });
+    const hover = new Rectangle({ width, height: 48, color: BUTTON_HOVER_COLOR });
+    this.graphics.use(normal);
+
+    this.addChild(new Label({
+      text,
+      color: Color.White,
+      font: new Font({ family: 'Arial, sans-serif', size: 18, bold: true, textAlign: TextAlign.Center, baseAlign: BaseAlign.Middle }),
+    }));
+
+    this.on('pointerenter', () => this.graphics.use(hover));
+    this.on('pointerleave', () => this.graphics.use(normal));
+    this.on('pointerup', onClick);
+  }
+}
@@ -0,0 +1,84 @@
+import { Actor, BaseAlign, Color, Font, Label, Rectangle, TextAlign, vec, type Vector } from 'excalibur';
+
+export type CardKind = 'word' | 'definition';
+
+export interface CardOptions {
+  kind: CardKind;
+  pairIndex: number;
+  text: string;
+  pos: Vector;
+  size: number;
+}
+
+const BACK_COLORS = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE'];
+const FLIP_MS = 150;
+
+// A card on the board: a coloured back while face down, its text on white once turned over
+export class Card extends Actor {
+  readonly kind: CardKind;
+  readonly pairIndex: number;
+  faceUp = false;
+  matched = false;
+
+  private readonly back: Rectangle;
+  private readonly front: Rectangle;
+  private readonly label: Label;
+
+  constructor({ kind, pairIndex, text, pos, size }: CardOptions) {
+    super({ pos, width: size, height: size });
+    this.kind = kind;
+    this.pairIndex = pairIndex;
+
+    const color = BACK_COLORS[Math.floor(Math.random() * BACK_COLORS.length)] ?? '#45B7D1';
+    this.back = new Rectangle({ width: size, height: size, color: Color.fromHex(color) });
+    this.front = new Rectangle({ width: size, height: size, color: Color.White, strokeColor: Color.fromHex(color), lineWidth: 4 });
+    this.graphics.use(this.back);
+
+    this.label = new Label({
+      text,
+      maxWidth: size - 12,
+      color: Color.Black,
+      font: new Font({
+        family: 'Arial, sans-serif',
+        size: kind === 'word' ? 16 : 12,
+        bold: kind === 'word',
+        textAlign: TextAlign.Center,
+        baseAlign: BaseAlign.Middle,
+      }),
+    });
+    this.label.graphics.isVisible = false;
+    this.addChild(this.label);
+  }
+
+  // Squashes the card to nothing, swaps the side shown, and stretches it back
+  flip(faceUp: boolean): Promise<void> {
+    this.faceUp = faceUp;
+    return this.actions
+      .scaleTo({ scale: vec(0, 1), duration: FLIP_MS })
+      .callMethod(() => {
+        this.graphics.use(faceUp ? this.front : this.back);
+        this.label.graphics.isVisible = faceUp;
+      })
+      .scaleTo({ scale: vec(1, 1), duration: FLIP_MS })
+      .toPromise();
+  }
+
+  // Pops and fades out once its pair is found
+  vanish(): Promise<void> {
+    this.matched = true;
+    return this.actions
+      .scaleTo({ scale: vec(1.15, 1.15), duration: 120 })
+      .fade(0, 300)
+      .callMethod(() => this.kill())
+      .toPromise();
+  }
+
+  // A quick wobble when the two cards turned over don't belong together
+  shake(): Promise<void> {
+    return this.actions
+      .rotateTo({ angle: 0.08, duration: 60 })
+      .rotateTo({ angle: -0.08, duration: 120 })
+      .rotateTo({ angle: 0, duration: 60 })
+      .toPromise();
+  }
+}
@@ -0,0 +1,190 @@
+import cefrRules from '../data/cefrRules.json';
+
+// CEFR levels for the vocabulary game: the per-level definition rules, the system prompt
+// the local LLM writes definitions with, and a validator that holds definitions to the rules.
+// server/definitionRules.js runs the same checks for the multiplayer vocabulary match; keep
+// the two in step.
+
+export const CEFR_SYSTEM_PROMPT = `You are an AI vocabulary assistant for an educational game. Your task is to provide **vocabulary definitions and examples** that match the CEFR English level selected by the teacher. Follow these rules strictly. Breaking these rules is not allowed.
+
+---
+
+GENERAL RULES FOR ALL LEVELS:
+1. Never include Latin, etymology, IPA pronunciation, or dictionary-style wording.
+2. Never use advanced or abstract words unless the CEFR level allows them.
+3. Do NOT provide incomplete or vague definitions. Every definition must be **a full, understandable sentence**.
+4. Always provide **a short example sentence** showing the word in context.
+5. Use **plain English written by you**, not copied from online dictionaries.
+
+---
+
+CEFR LEVEL RULES:
+
+A1 – Beginner
+- Maximum sentence length: 7–10 words.
+- Only everyday, concrete words.
+- No abstract ideas or figurative language.
+- Only one sentence for the definition.
+- Example sentence must show a clear, relatable situation.
+- Format:
+Definition: <one complete, simple sentence>
+Example: <one simple sentence showing the word in context>
+
+Sample:
+Word: "follow up"
+Definition: "I call my friend again to check the homework."
+Example: "I follow up with my friend about the homework."
+
+---
+
+A2 – Elementary
+- Maximum sentence length: 12–15 words.
+- Simple everyday language.
+- Simple past tense allowed.
+- No abstract/academic words.
+- 1–2 sentences for the definition.
+- Example sentence must show a clear situation.
+- Format:
+Definition: <1–2 simple sentences>
+Example: <1 example sentence showing usage>
+
+Sample:
+Word: "follow up"
+Definition: "After the meeting, I send an email to continue the task."
+Example: "I follow up with my teacher after class."
+
+---
+
+B1 – Intermediate
+- Maximum sentence length: 18–20 words.
+- May include opinions or reasons.
+- No academic or technical terms unless very common.
+- Definition must be clear and contextual.
+- Example sentence must show realistic usage.
+- Format:
+Definition: <1–2 sentences>
+Example: <1 sentence showing context>
+
+Sample:
+Word: "follow up"
+Definition: "I follow up on my project by checking the results next week."
+Example: "She followed up with her manager after the presentation."
+
+---
+
+B2 – Upper-Intermediate
+- Maximum sentence length: 25 words.
+- May include abstract or slightly technical ideas.
+- Avoid very rare academic words.
+- Definitions must be complete sentences.
+- Example sentence must illustrate real-life usage.
+
+Sample:
+Word: "flexible"
+Definition: "Although both options have advantages, I believe online classes are more flexible for students."
+Example: "He has a flexible schedule at work."
+
+---
+
+C1 – Advanced
+- Maximum sentence length: 40 words.
+- May include academic or professional language.
+- No Latin or dictionary-style etymology.
+- Definitions must be precise and clear.
+- Example sentence must show professional, academic, or nuanced usage.
+
+Sample:
+Word: "intervention"
+Definition: "The data suggests a significant improvement in performance following the intervention, demonstrating the strategy’s effectiveness."
+Example: "The government implemented an intervention to reduce pollution levels."
+
+---
+
+ADDITIONAL INSTRUCTIONS:
+- When a teacher selects a CEFR level (A1, A2, B1, B2, C1), always **strictly follow that level’s rules**.
+- Do not search or copy definitions from online dictionaries.
+- Ensure definitions are **concrete, complete, and readable** for students at that level.
+- Always provide **both a definition and an example sentence**.
+- Reject any definition that is vague, incomplete, abstract, or includes forbidden content (Latin, etymology, IPA, advanced terms for lower levels).`;
+
+// Level descriptions and definition rules live in data/cefrRules.json, which the game
+// server's vocabulary match checks its definitions against too
+export const CEFR_LEVELS = cefrRules.levels;
+
+export type CefrLevel = keyof typeof CEFR_LEVELS;
+
+export const CEFR_LEVEL_IDS = Object.keys(CEFR_LEVELS) as CefrLevel[];
+
+export interface DefinitionEntry {
+  definition: string;
+  example: string;
+}
+
+// Dictionary-style content the system prompt forbids at every level
+const FORBIDDEN_PATTERNS = cefrRules.forbidden_patterns.map(({ pattern, problem }) => [new RegExp(pattern, 'i'), problem] as const);
+
+export function isCefrLevel(value: string): value is CefrLevel {
+  return value in CEFR_LEVELS;
+}
+
+export function splitSentences(text: string): string[] {
+  return text.split(/(?<=[.!?])\s+/).map((s) => s.trim()).filter(Boolean);
+}
+
+function wordsOf(sentence: string): string[] {
+  return sentence.split(/\s+/).map((w) => w.replace(/[^\p{L}'-]/gu, '')).filter(Boolean);
+}
+
+// True if `text` uses `word` (or an inflection of it, e.g. "followed up" for "follow up")
+export function mentionsWord(text: string, word: string): boolean {
+  const tokens = wordsOf(text.toLowerCase());
+  return word.toLowerCase().split(/\s+/).filter(Boolean).every((part) => {
+    const stem = part.length > 4 ? part.slice(0, part.length - 2) : part;
+    // Allow endings like -s, -ed, -ing, but don't count "category" as using "cat"
+    return tokens.some((token) => token.startsWith(stem) && token.length <= part.length + 3);
+  });
+}
+
+/**
+ * Problems with `entry` as a definition of `word` at `level`, as short phrases that can be fed
+ * back to the model. An empty list means the entry follows the rules.
+ */
+export function validateDefinition(entry: DefinitionEntry, word: string, level: CefrLevel): string[] {
+  const rules = CEFR_LEVELS[level].definition_rules;
+  const problems: string[] = [];
+  const definitionSentences = splitSentences(entry.definition);
+  const exampleSentences = splitSentences(entry.example);
+
+  if (definitionSentences.length === 0) problems.push('the definition is missing');
+  if (exampleSentences.length === 0) problems.push('the example is missing');
+  if (definitionSentences.length > rules.max_definition_sentences) {
+    problems.push(`the definition must be at most ${rules.max_definition_sentences} sentence(s)`);
+  }
+  if (exampleSentences.length > 1) problems.push('the example must be one sentence');
+
+  [...definitionSentences, ...exampleSentences].forEach((sentence) => {
+    if (wordsOf(sentence).length > rules.max_sentence_length) {
+      problems.push(`"${sentence}" is longer than ${rules.max_sentence_length} words`);
+    }
+  });
+
+  // The word itself may be long; everything around it has to fit the level
+  const longWords = wordsOf(`${entry.definition} ${entry.example}`)
+    .filter((w) => w.length > rules.max_word_length && !mentionsWord(w, word));
+  if (longWords.length > 0) {
+    problems.push(`these words are too hard for ${level}: ${[...new Set(longWords)].join(', ')}`);
+  }
+
+  // Players match words to definitions, so the definition must not give the word away
+  if (definitionSentences.length > 0 && mentionsWord(entry.definition, word)) {
+    problems.push('the definition uses the word itself');
+  }
+  if (exampleSentences.length > 0 && !mentionsWord(entry.example, word)) {
+    problems.push('the example does not use the word');
+  }
+
+  FORBIDDEN_PATTERNS.forEach(([pattern, problem]) => {
+    if (pattern.test(`${entry.definition} ${entry.example}`)) problems.push(problem);
+  });
+  return problems;
+}
@@ -0,0 +1,112 @@
+import { CEFR_LEVELS, CEFR_SYSTEM_PROMPT, type CefrLevel, type DefinitionEntry, validateDefinition } from './cefr';
+import { lookupDefinition } from './dictionary';
+
+export interface Definition extends DefinitionEntry {
+  source: 'llm' | 'dictionary';
+}
+
+// The same local runtimes the game server supports. Requests go through the dev server's
+// /llm proxy (see vite.config.ts), so the browser never talks to the model directly.
+const LLM_PROVIDER = import.meta.env.VITE_LLM_PROVIDER || 'ollama';
+const LLM_MODEL = import.meta.env.VITE_LLM_MODEL || 'llama3.2:3b';
+const LLM_BASE_URL = '/llm';
+
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_ATTEMPTS = 3;
+// After the model fails to answer, words use the bundled dictionary for this long
+const MODEL_RETRY_AFTER_MS = 60000;
+
+let modelFailedAt = 0;
+
+/**
+ * A definition and example for `word` at `level`: written by the local model when one is
+ * running, otherwise from the bundled dictionary. Null if neither has the word.
+ */
+export async function getDefinition(word: string, level: CefrLevel): Promise<Definition | null> {
+  const generated = await generateDefinition(word, level);
+  if (generated) return { ...generated, source: 'llm' };
+
+  const bundled = lookupDefinition(word);
+  return bundled ? { ...bundled, source: 'dictionary' } : null;
+}
+
+/**
+ * Ask the model for a definition that passes `validateDefinition`, up to MAX_ATTEMPTS times,
+ * telling it what was wrong with its previous answer. Null if the model is unavailable or
+ * never follows the rules.
+ */
+export async function generateDefinition(word: string, level: CefrLevel): Promise<DefinitionEntry | null> {
+  if (Date.now() - modelFailedAt < MODEL_RETRY_AFTER_MS) return null;
+
+  let problems: string[] = [];
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let reply: string;
+    try {
+      reply = await requestCompletion(CEFR_SYSTEM_PROMPT, buildDefinitionPrompt(word, level, problems));
+    } catch (error) {
+      console.warn('No language model available, using the offline dictionary:', error);
+      modelFailedAt = Date.now();
+      return null;
+    }
+
+    const entry = parseDefinition(reply);
+    problems = entry ? validateDefinition(entry, word, level) : ['it did not use the "Definition:" and "Example:" lines'];
+    if (entry && problems.length === 0) return entry;
+  }
+  console.warn(`Model definitions for "${word}" broke the ${level} rules: ${problems.join('; ')}`);
+  return null;
+}
+
+function buildDefinitionPrompt(word: string, level: CefrLevel, problems: string[]): string {
+  const { name, definition_rules: rules } = CEFR_LEVELS[level];
+  const lines = [
+    `Level: ${level} – ${name}`,
+    `Use at most ${rules.max_sentence_length} words per sentence and no word longer than ${rules.max_word_length} letters.`,
+    `Style: ${rules.language_style}. Avoid: ${rules.avoid.join(', ')}.`,
+    'Do not use the word itself in the definition: students have to match the word to it.',
+    `Word: "${word}"`,
+    'Reply with exactly these two lines and nothing else:',
+    'Definition: <definition>',
+    'Example: <example sentence using the word>',
+  ];
+  if (problems.length > 0) {
+    lines.push(`Your last answer was rejected because ${problems.join('; ')}. Try again.`);
+  }
+  return lines.join('\n');
+}
+
+// Reads the "Definition:" and "Example:" lines, ignoring quotes and markdown bold
+export function parseDefinition(reply: string): DefinitionEntry | null {
+  const field = (name: string) => {
+    const match = reply.match(new RegExp(`^[\\s*]*${name}[\\s*]*:[\\s*]*(.+)$`, 'im'));
+    return match?.[1]?.replace(/^["“]+|["”]+$/g, '').trim() ?? '';
+  };
+  const definition = field('Definition');
+  const example = field('Example');
+  return definition && example ? { definition, example } : null;
+}
+
+async function requestCompletion(system: string, prompt: string): Promise<string> {
+  const openai = LLM_PROVIDER === 'openai';
+  const url = openai ? `${LLM_BASE_URL}/v1/chat/completions` : `${LLM_BASE_URL}/api/generate`;
+  const body = openai
+    ? { model: LLM_MODEL, messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }], temperature: 0.3, stream: false }
+    : { model: LLM_MODEL, system, prompt, stream: false, options: { temperature: 0.3 } };
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Model request failed with HTTP ${response.status}`);
+  }
+
+  const json = await response.json();
+  const text = openai ? json?.choices?.[0]?.message?.content : json?.response;
+  if (typeof text !== 'string') {
+    throw new Error('Unexpected response shape from the model');
+  }
+  return text;
+}
@@ -0,0 +1,13 @@
+import type { DefinitionEntry } from './cefr';
+import dictionary from '../data/dictionary.json';
+
+// Definitions bundled with the game for classrooms without a language model (or internet).
+// They are written to A1 rules, so they fit every level.
+const ENTRIES: Record<string, DefinitionEntry> = dictionary;
+
+export function lookupDefinition(word: string): DefinitionEntry | null {
+  const key = word.trim().toLowerCase();
+  // Also find simple plurals ("apples", "buses") under the singular
+  const match = [key, key.replace(/s$/, ''), key.replace(/es$/, '')].find((k) => k in ENTRIES);
+  return match ? ENTRIES[match] ?? null : null;
+}
@@ -0,0 +1,58 @@
+import type { BoardResult } from './vocab';
+
+const STORAGE_KEY = 'vocab-high-scores';
+const MAX_ENTRIES = 5;
+
+export interface HighScore {
+  score: number;
+  mistakes: number;
+  elapsedMs: number;
+  date: string;
+}
+
+type HighScoreTable = Record<string, HighScore[]>;
+
+// Scores are kept per word list, CEFR level and mode, since only those runs are comparable
+export function tableKey(result: Pick<BoardResult, 'pairs' | 'level' | 'mode'>): string {
+  const words = result.pairs.map(p => p.word.toLowerCase()).sort();
+  return `${result.level}|${result.mode}|${words.join(',')}`;
+}
+
+export function getHighScores(result: Pick<BoardResult, 'pairs' | 'level' | 'mode'>): HighScore[] {
+  return loadTable()[tableKey(result)] ?? [];
+}
+
+/**
+ * Records a finished game and returns the updated table for its word list, with the new
+ * entry's place in it (0-based) or -1 if it didn't make the table.
+ */
+export function addHighScore(result: BoardResult, score: number): { scores: HighScore[]; rank: number } {
+  const table = loadTable();
+  const key = tableKey(result);
+  const entry: HighScore = { score, mistakes: result.mistakes, elapsedMs: result.elapsedMs, date: new Date().toISOString() };
+  const scores = [...(table[key] ?? []), entry]
+    .sort((a, b) => b.score - a.score || a.elapsedMs - b.elapsedMs)
+    .slice(0, MAX_ENTRIES);
+  table[key] = scores;
+  saveTable(table);
+  return { scores, rank: scores.indexOf(entry) };
+}
+
+function loadTable(): HighScoreTable {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    const parsed: unknown = stored ? JSON.parse(stored) : {};
+    return parsed && typeof parsed === 'object' ? parsed as HighScoreTable : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveTable(table: HighScoreTable) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(table));
+  } catch (error) {
+    // Private browsing or a full quota: the game still works, the table just isn't kept
+    console.warn('Could not save high scores:', error);
+  }
+}
@@ -0,0 +1,133 @@
+import { Color, Font, Label, Scene, TextAlign, vec, type Engine, type SceneActivationContext } from 'excalibur';
+import { Card, type CardKind } from '../actors/Card';
+import { playBellSound } from '../sounds';
+import { cardKey, formatTime, missedPairs, shuffle, timeLimitMs, type BoardData, type BoardResult } from '../vocab';
+
+const HUD_Y = 24;
+const AREA_TOP = 56;
+const AREA_HEIGHT = 480;
+const SIDE_WIDTH = 370;
+const GAP = 10;
+const MAX_CARD_SIZE = 120;
+const MISMATCH_DELAY_MS = 1000;
+
+const hudFont = () => new Font({ family: 'Arial, sans-serif', size: 18, textAlign: TextAlign.Center });
+
+// The matching board: words on the left, definitions on the right, both face down. Turning
+// over a word and its definition clears the pair; any other two cards turn back. In the timed
+// challenge the game ends when the clock runs out.
+export class BoardScene extends Scene<BoardData> {
+  private data: BoardData | null = null;
+  private selected: Card | null = null;
+  private busy = false;
+  private moves = 0;
+  private mistakes = 0;
+  private readonly found = new Set<number>();
+  private readonly missed = new Set<number>();
+  // Cards turned over on earlier moves, by cardKey
+  private readonly seen = new Set<string>();
+  private startedAt = 0;
+  private finished = false;
+
+  private readonly statsLabel = new Label({ pos: vec(400, HUD_Y), color: Color.White, font: hudFont() });
+  private readonly exampleLabel = new Label({ pos: vec(400, 570), color: Color.White, maxWidth: 760, font: hudFont() });
+
+  override onActivate(context: SceneActivationContext<BoardData>) {
+    if (!context.data) return;
+    this.data = context.data;
+    this.selected = null;
+    this.busy = false;
+    this.moves = 0;
+    this.mistakes = 0;
+    this.found.clear();
+    this.missed.clear();
+    this.seen.clear();
+    this.finished = false;
+    this.startedAt = Date.now();
+
+    this.clear(false);
+    this.exampleLabel.text = 'Find each word\'s definition';
+    this.add(this.statsLabel);
+    this.add(this.exampleLabel);
+    this.layOut('word', this.data.pairs.map(p => p.word), 20);
+    this.layOut('definition', this.data.pairs.map(p => p.definition), 800 - 20 - SIDE_WIDTH);
+  }
+
+  override onPreUpdate(_engine: Engine) {
+    if (!this.data || this.finished) return;
+    const elapsed = Date.now() - this.startedAt;
+    const clock = this.data.mode === 'timed'
+      ? `Time left: ${formatTime(Math.max(0, timeLimitMs(this.data.pairs.length) - elapsed + 999))}`
+      : `Time: ${formatTime(elapsed)}`;
+    this.statsLabel.text = `${this.data.level}   Pairs: ${this.found.size}/${this.data.pairs.length}   Moves: ${this.moves}   Mistakes: ${this.mistakes}   ${clock}`;
+
+    if (this.data.mode === 'timed' && elapsed >= timeLimitMs(this.data.pairs.length)) this.finish();
+  }
+
+  // Deals one side's cards, shuffled, in a grid that fits the side of the board starting at `left`
+  private layOut(kind: CardKind, texts: string[], left: number) {
+    const cols = Math.ceil(Math.sqrt(texts.length));
+    const rows = Math.ceil(texts.length / cols);
+    const size = Math.min(MAX_CARD_SIZE, (SIDE_WIDTH - (cols - 1) * GAP) / cols, (AREA_HEIGHT - (rows - 1) * GAP) / rows);
+    const offsetX = left + (SIDE_WIDTH - (cols * size + (cols - 1) * GAP)) / 2 + size / 2;
+    const offsetY = AREA_TOP + (AREA_HEIGHT - (rows * size + (rows - 1) * GAP)) / 2 + size / 2;
+
+    shuffle(texts.map((text, pairIndex) => ({ text, pairIndex }))).forEach(({ text, pairIndex }, i) => {
+      const card = new Card({
+        kind,
+        pairIndex,
+        text,
+        size,
+        pos: vec(offsetX + (i % cols) * (size + GAP), offsetY + Math.floor(i / cols) * (size + GAP)),
+      });
+      card.on('pointerup', () => this.turnOver(card));
+      this.add(card);
+    });
+  }
+
+  private async turnOver(card: Card) {
+    if (this.busy || this.finished || card.faceUp || card.matched) return;
+
+    const first = this.selected;
+    if (!first) {
+      this.selected = card;
+      await card.flip(true);
+      return;
+    }
+
+    this.selected = null;
+    this.busy = true;
+    this.moves++;
+    await card.flip(true);
+
+    if (first.kind !== card.kind && first.pairIndex === card.pairIndex) {
+      playBellSound();
+      this.found.add(card.pairIndex);
+      const pair = this.data!.pairs[card.pairIndex];
+      if (pair) this.exampleLabel.text = `${pair.word}: ${pair.example || pair.definition}`;
+      await Promise.all([first.vanish(), card.vanish()]);
+      this.busy = false;
+      if (this.found.size === this.data!.pairs.length) this.finish();
+    } else {
+      const missed = missedPairs(this.seen, first, card);
+      if (missed.length > 0) this.mistakes++;
+      missed.forEach(pairIndex => this.missed.add(pairIndex));
+      this.seen.add(cardKey(first)).add(cardKey(card));
+      await Promise.all([first.shake(), card.shake()]);
+      this.engine.clock.schedule(async () => {
+        await Promise.all([first.flip(false), card.flip(false)]);
+        this.busy = false;
+      }, MISMATCH_DELAY_MS);
+    }
+  }
+
+  private finish() {
+    if (this.finished) return;
+    this.finished = true;
+    const data = this.data!;
+    const missed = data.pairs.filter((_, i) => this.missed.has(i) || !this.found.has(i));
+    const elapsedMs = data.mode === 'timed' ? Math.min(Date.now() - this.startedAt, timeLimitMs(data.pairs.length)) : Date.now() - this.startedAt;
+    const result: BoardResult = { ...data, matched: this.found.size, moves: this.moves, mistakes: this.mistakes, elapsedMs, missed };
+    this.engine.goToScene('results', { sceneActivationData: result });
+  }
+}
@@ -0,0 +1,51 @@
+import { Color, Font, Label, Scene, TextAlign, vec, type SceneActivationContext } from 'excalibur';
+import { Button } from '../actors/Button';
+import { addHighScore } from '../highScores';
+import { GAME_MODES, formatTime, sceneForMode, scoreGame, type BoardData, type BoardResult } from '../vocab';
+
+const font = (size: number, bold = false) => new Font({ family: 'Arial, sans-serif', size, bold, textAlign: TextAlign.Center });
+
+// Score, time and the high-score table for this word list once a game ends, with a rematch,
+// a review of missed words, or new words
+export class ResultsScene extends Scene<BoardResult> {
+  override onActivate(context: SceneActivationContext<BoardResult>) {
+    const result = context.data;
+    if (!result) return;
+    this.clear(false);
+
+    const pairCount = result.pairs.length;
+    const score = scoreGame(result);
+    const { scores, rank } = addHighScore(result, score);
+    const title = result.matched === pairCount ? 'All done!' : result.mode === 'timed' ? 'Time\'s up!' : 'Game over';
+
+    this.addLine(title, 80, font(36, true));
+    this.addLine(`${GAME_MODES[result.mode].name} · ${result.level} · Score: ${score}${rank === 0 ? ' · New high score!' : ''}`, 140, font(24));
+    this.addLine(`Found ${result.matched}/${pairCount}   Time: ${formatTime(result.elapsedMs)}   Moves: ${result.moves}   Mistakes: ${result.mistakes}`, 185, font(18));
+
+    this.addLine('High scores for these words', 250, font(20, true));
+    scores.forEach((entry, i) => {
+      const date = new Date(entry.date).toLocaleDateString();
+      const label = this.addLine(`${i + 1}. ${entry.score}   ${formatTime(entry.elapsedMs)}   ${entry.mistakes} mistakes   ${date}`, 285 + i * 28, font(16, i === rank));
+      if (i === rank) label.color = Color.fromHex('#FFD95A');
+    });
+
+    const rematch: BoardData = { pairs: result.pairs, level: result.level, mode: result.mode };
+    this.add(new Button('Play again', vec(160, 500), () => {
+      this.engine.goToScene(sceneForMode(rematch.mode), { sceneActivationData: rematch });
+    }));
+    if (result.missed.length > 0) {
+      this.add(new Button(`Review missed (${result.missed.length})`, vec(400, 500), () => {
+        this.engine.goToScene('review', { sceneActivationData: result });
+      }, 220));
+    }
+    this.add(new Button('New words', vec(640, 500), () => {
+      this.engine.goToScene('setup');
+    }));
+  }
+
+  private addLine(text: string, y: number, labelFont: Font): Label {
+    const label = new Label({ text, pos: vec(400, y), color: Color.White, maxWidth: 760, font: labelFont });
+    this.add(label);
+    return label;
+  }
+}
@@ -0,0 +1,53 @@
+import { Color, Font, FontStyle, Label, Scene, TextAlign, vec, type SceneActivationContext } from 'excalibur';
+import { Button } from '../actors/Button';
+import { sceneForMode, type BoardData, type BoardResult } from '../vocab';
+
+const LIST_TOP = 90;
+const LIST_HEIGHT = 380;
+
+// The words the student got wrong or never found, with their definitions and examples, and a
+// round on just those words
+export class ReviewScene extends Scene<BoardResult> {
+  override onActivate(context: SceneActivationContext<BoardResult>) {
+    const result = context.data;
+    if (!result) return;
+    this.clear(false);
+
+    this.add(new Label({
+      text: 'Words to review',
+      pos: vec(400, 45),
+      color: Color.White,
+      font: new Font({ family: 'Arial, sans-serif', size: 30, bold: true, textAlign: TextAlign.Center }),
+    }));
+
+    const step = Math.min(90, LIST_HEIGHT / result.missed.length);
+    result.missed.forEach((pair, i) => {
+      const y = LIST_TOP + i * step;
+      this.add(new Label({
+        text: `${pair.word}: ${pair.definition}`,
+        pos: vec(30, y),
+        color: Color.White,
+        maxWidth: 740,
+        font: new Font({ family: 'Arial, sans-serif', size: 15, bold: true }),
+      }));
+      this.add(new Label({
+        text: pair.example,
+        pos: vec(50, y + step * 0.45),
+        color: Color.fromHex('#A0C4FF'),
+        maxWidth: 720,
+        font: new Font({ family: 'Arial, sans-serif', size: 13, style: FontStyle.Italic }),
+      }));
+    });
+
+    // The board needs two pairs; typing works with any number
+    const practice: BoardData = { pairs: result.missed, level: result.level, mode: result.mode };
+    if (result.missed.length >= 2 || result.mode === 'typing') {
+      this.add(new Button('Practise these', vec(280, 530), () => {
+        this.engine.goToScene(sceneForMode(practice.mode), { sceneActivationData: practice });
+      }));
+    }
+    this.add(new Button('New words', vec(520, 530), () => {
+      this.engine.goToScene('setup');
+    }));
+  }
+}
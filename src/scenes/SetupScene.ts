@@ -0,0 +1,309 @@
+import { Scene } from 'excalibur';
+import { CEFR_LEVELS, CEFR_LEVEL_IDS, isCefrLevel, type CefrLevel } from '../cefr';
+import { getDefinition } from '../definitions';
+import { GAME_MODES, GAME_MODE_IDS, isGameMode, sceneForMode, type BoardData } from '../vocab';
+import {
+  deleteList,
+  formatWordList,
+  getSavedLists,
+  parseWordList,
+  readShareHash,
+  saveList,
+  shareUrl,
+  toCsv,
+  type WordEntry,
+  type WordList,
+} from '../wordLists';
+
+// More than this and the cards get too small to read
+export const MAX_PAIRS = 12;
+
+// Word entry and saved lists. Text input needs real form controls, so this scene shows an HTML
+// form over the canvas while it is active.
+export class SetupScene extends Scene {
+  private readonly form: HTMLElement;
+  private readonly listSelect: HTMLSelectElement;
+  private readonly nameInput: HTMLInputElement;
+  private readonly wordsTextarea: HTMLTextAreaElement;
+  private readonly levelSelect: HTMLSelectElement;
+  private readonly modeSelect: HTMLSelectElement;
+  private readonly fileInput: HTMLInputElement;
+  private readonly buttons: HTMLButtonElement[] = [];
+  private readonly statusDiv: HTMLElement;
+
+  constructor(container: HTMLElement) {
+    super();
+    this.form = document.createElement('div');
+    this.form.style.position = 'absolute';
+    this.form.style.inset = '0';
+    this.form.style.overflowY = 'auto';
+    this.form.style.textAlign = 'center';
+    this.form.style.color = 'white';
+    this.form.style.display = 'none';
+
+    const title = document.createElement('h1');
+    title.textContent = 'Vocabulary Matching Game';
+    title.style.margin = '16px 0';
+    this.form.appendChild(title);
+
+    // Saved lists
+    const listRow = row(this.form);
+    this.listSelect = document.createElement('select');
+    this.listSelect.addEventListener('change', () => {
+      const list = getSavedLists().find(l => l.name === this.listSelect.value);
+      if (list) this.loadList(list);
+    });
+    listRow.appendChild(this.listSelect);
+    this.nameInput = document.createElement('input');
+    this.nameInput.type = 'text';
+    this.nameInput.placeholder = 'List name';
+    this.nameInput.style.marginLeft = '10px';
+    listRow.appendChild(this.nameInput);
+    listRow.appendChild(this.makeButton('Save list', () => this.saveCurrentList()));
+    listRow.appendChild(this.makeButton('Delete', () => this.deleteCurrentList()));
+
+    const wordsLabel = document.createElement('label');
+    wordsLabel.textContent = `Enter words (one per line, up to ${MAX_PAIRS}). To use your own definition, write "word: definition", or put the definition and an example after the word separated by tabs:`;
+    wordsLabel.style.display = 'block';
+    wordsLabel.style.margin = '0 40px 10px';
+    this.form.appendChild(wordsLabel);
+
+    this.wordsTextarea = document.createElement('textarea');
+    this.wordsTextarea.rows = 8;
+    this.wordsTextarea.cols = 70;
+    this.wordsTextarea.placeholder = 'apple\nbanana: A long, yellow fruit.\ncherry\tA small round red fruit.\tI ate a cherry.\n...';
+    this.form.appendChild(this.wordsTextarea);
+
+    // Import, export and sharing
+    const fileRow = row(this.form);
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.accept = '.csv,.tsv,.txt';
+    this.fileInput.style.display = 'none';
+    this.fileInput.addEventListener('change', () => this.importFile());
+    fileRow.appendChild(this.fileInput);
+    fileRow.appendChild(this.makeButton('Import CSV/TSV/Anki', () => this.fileInput.click()));
+    fileRow.appendChild(this.makeButton('Export CSV', () => this.exportList()));
+    fileRow.appendChild(this.makeButton('Copy share link', () => this.shareList()));
+
+    const optionsRow = row(this.form);
+    optionsRow.append('English Level: ');
+    this.levelSelect = document.createElement('select');
+    CEFR_LEVEL_IDS.forEach(lvl => {
+      const option = document.createElement('option');
+      option.value = lvl;
+      option.textContent = `${lvl} - ${CEFR_LEVELS[lvl].name}`;
+      this.levelSelect.appendChild(option);
+    });
+    optionsRow.appendChild(this.levelSelect);
+
+    optionsRow.append(' Game Mode: ');
+    this.modeSelect = document.createElement('select');
+    GAME_MODE_IDS.forEach(mode => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = GAME_MODES[mode].name;
+      option.title = GAME_MODES[mode].description;
+      this.modeSelect.appendChild(option);
+    });
+    optionsRow.appendChild(this.modeSelect);
+
+    const startButton = this.makeButton('Start Game', () => this.startGame());
+    startButton.style.padding = '10px 20px';
+    startButton.style.fontSize = '16px';
+    this.form.appendChild(startButton);
+
+    this.statusDiv = document.createElement('div');
+    this.statusDiv.style.marginTop = '16px';
+    this.form.appendChild(this.statusDiv);
+
+    container.appendChild(this.form);
+
+    // Opened from a share link: fill the list in and drop it from the address bar
+    const shared = readShareHash(window.location.hash);
+    if (shared) {
+      this.loadList(shared);
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+      this.statusDiv.textContent = `Loaded the shared list "${shared.name}".`;
+    }
+  }
+
+  override onActivate() {
+    this.form.style.display = 'block';
+    this.setBusy(false);
+    this.refreshSavedLists();
+  }
+
+  override onDeactivate() {
+    this.form.style.display = 'none';
+    this.statusDiv.textContent = '';
+  }
+
+  private async startGame() {
+    const entries = parseWordList(this.wordsTextarea.value);
+    const level = this.selectedLevel();
+    const mode = isGameMode(this.modeSelect.value) ? this.modeSelect.value : 'classic';
+
+    if (entries.length < 2) {
+      this.statusDiv.textContent = 'Please enter at least 2 words.';
+      return;
+    }
+    if (entries.length > MAX_PAIRS) {
+      this.statusDiv.textContent = `Please enter at most ${MAX_PAIRS} words.`;
+      return;
+    }
+
+    const defined = await this.withDefinitions(entries, level);
+    if (!defined) return;
+    const pairs = defined.map(({ word, definition = '', example = '' }) => ({ word, definition, example }));
+    const data: BoardData = { pairs, level, mode };
+    await this.engine.goToScene(sceneForMode(mode), { sceneActivationData: data });
+  }
+
+  /**
+   * Fills in a definition for every entry that doesn't have one, showing progress, and writes
+   * the completed list back to the textarea so it can be saved or exported as prepared.
+   * Returns null (with the reason shown) if a word can't be defined.
+   */
+  private async withDefinitions(entries: WordEntry[], level: CefrLevel): Promise<WordEntry[] | null> {
+    this.setBusy(true);
+    try {
+      const defined: WordEntry[] = [];
+      for (const [i, entry] of entries.entries()) {
+        if (entry.definition) {
+          defined.push(entry);
+          continue;
+        }
+        this.statusDiv.textContent = `Writing definitions... (${i + 1}/${entries.length})`;
+        const def = await getDefinition(entry.word, level);
+        if (!def) {
+          this.statusDiv.textContent = `Could not find a definition for "${entry.word}". Start your local model, use a word from the offline dictionary, or add your own definition.`;
+          return null;
+        }
+        defined.push({ word: entry.word, definition: def.definition, example: def.example });
+      }
+      this.wordsTextarea.value = formatWordList(defined);
+      this.statusDiv.textContent = '';
+      return defined;
+    } catch (error) {
+      console.error('Failed to write definitions:', error);
+      this.statusDiv.textContent = 'Error fetching definitions. Please try again.';
+      return null;
+    } finally {
+      this.setBusy(false);
+    }
+  }
+
+  // The list as it stands in the form, with generated definitions filled in
+  private async completeList(): Promise<WordList | null> {
+    const entries = parseWordList(this.wordsTextarea.value);
+    if (entries.length === 0) {
+      this.statusDiv.textContent = 'The list is empty.';
+      return null;
+    }
+    const level = this.selectedLevel();
+    const defined = await this.withDefinitions(entries, level);
+    if (!defined) return null;
+    return { name: this.nameInput.value.trim() || 'Word list', level, entries: defined };
+  }
+
+  private async saveCurrentList() {
+    const list = await this.completeList();
+    if (!list) return;
+    this.nameInput.value = list.name;
+    this.statusDiv.textContent = saveList(list) ? `Saved "${list.name}".` : 'Could not save: browser storage is unavailable or full.';
+    this.refreshSavedLists();
+  }
+
+  private deleteCurrentList() {
+    const name = this.listSelect.value;
+    if (!name) {
+      this.statusDiv.textContent = 'Choose a saved list to delete.';
+      return;
+    }
+    deleteList(name);
+    this.statusDiv.textContent = `Deleted "${name}".`;
+    this.refreshSavedLists();
+  }
+
+  private async importFile() {
+    const file = this.fileInput.files?.[0];
+    this.fileInput.value = '';
+    if (!file) return;
+    const entries = parseWordList(await file.text(), /\.csv$/i.test(file.name) ? 'csv' : 'text');
+    if (entries.length === 0) {
+      this.statusDiv.textContent = `No words found in ${file.name}.`;
+      return;
+    }
+    this.wordsTextarea.value = formatWordList(entries);
+    this.nameInput.value = file.name.replace(/\.[^.]+$/, '');
+    this.statusDiv.textContent = `Imported ${entries.length} words from ${file.name}.`;
+  }
+
+  private async exportList() {
+    const list = await this.completeList();
+    if (!list) return;
+    const url = URL.createObjectURL(new Blob([toCsv(list.entries)], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${list.name.replace(/[^\w -]+/g, '') || 'word-list'}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  private async shareList() {
+    const list = await this.completeList();
+    if (!list) return;
+    const url = shareUrl(list, window.location.href);
+    try {
+      await navigator.clipboard.writeText(url);
+      this.statusDiv.textContent = 'Share link copied. Anyone who opens it gets this list with its definitions.';
+    } catch {
+      this.statusDiv.textContent = `Share this link: ${url}`;
+    }
+  }
+
+  private loadList(list: WordList) {
+    this.nameInput.value = list.name;
+    this.levelSelect.value = list.level;
+    this.wordsTextarea.value = formatWordList(list.entries);
+  }
+
+  private refreshSavedLists() {
+    const current = this.nameInput.value;
+    this.listSelect.replaceChildren(new Option('Saved lists...', ''));
+    getSavedLists().forEach(list => this.listSelect.appendChild(new Option(list.name, list.name)));
+    this.listSelect.value = getSavedLists().some(l => l.name === current) ? current : '';
+  }
+
+  private selectedLevel(): CefrLevel {
+    return isCefrLevel(this.levelSelect.value) ? this.levelSelect.value : 'A1';
+  }
+
+  private makeButton(text: string, onClick: () => void): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.padding = '6px 12px';
+    button.style.marginLeft = '10px';
+    button.style.cursor = 'pointer';
+    button.style.backgroundColor = 'blue';
+    button.style.color = 'white';
+    button.style.border = 'none';
+    button.style.borderRadius = '5px';
+    button.addEventListener('click', onClick);
+    this.buttons.push(button);
+    return button;
+  }
+
+  // Definitions can take a while; no second action until the first is done
+  private setBusy(busy: boolean) {
+    this.buttons.forEach(button => { button.disabled = busy; });
+  }
+}
+
+function row(parent: HTMLElement): HTMLElement {
+  const div = document.createElement('div');
+  div.style.margin = '10px 0';
+  parent.appendChild(div);
+  return div;
+}
@@ -0,0 +1,160 @@
+import { Color, Font, Label, Scene, TextAlign, vec, type SceneActivationContext } from 'excalibur';
+import { playBellSound } from '../sounds';
+import { formatTime, isSameWord, shuffle, type BoardData, type BoardResult, type VocabPair } from '../vocab';
+
+const TRIES_PER_WORD = 2;
+const NEXT_WORD_DELAY_MS = 1500;
+
+const font = (size: number, bold = false) => new Font({ family: 'Arial, sans-serif', size, bold, textAlign: TextAlign.Center });
+
+// "Type the word" mode: one definition at a time, answered in a text box over the canvas.
+// Each word gets two tries before the answer is shown and the game moves on.
+export class TypingScene extends Scene<BoardData> {
+  private readonly form: HTMLFormElement;
+  private readonly answerInput: HTMLInputElement;
+
+  private data: BoardData | null = null;
+  private order: VocabPair[] = [];
+  private current = 0;
+  private tries = 0;
+  private correct = 0;
+  private moves = 0;
+  private mistakes = 0;
+  private readonly missed = new Set<VocabPair>();
+  private startedAt = 0;
+  private waiting = false;
+
+  private readonly statsLabel = new Label({ pos: vec(400, 24), color: Color.White, font: font(18) });
+  private readonly definitionLabel = new Label({ pos: vec(400, 140), color: Color.White, maxWidth: 700, font: font(24, true) });
+  private readonly hintLabel = new Label({ pos: vec(400, 260), color: Color.fromHex('#A0C4FF'), font: font(16) });
+  private readonly feedbackLabel = new Label({ pos: vec(400, 420), color: Color.White, maxWidth: 700, font: font(18) });
+
+  constructor(container: HTMLElement) {
+    super();
+    this.form = document.createElement('form');
+    this.form.style.position = 'absolute';
+    this.form.style.left = '0';
+    this.form.style.right = '0';
+    this.form.style.top = '320px';
+    this.form.style.textAlign = 'center';
+    this.form.style.display = 'none';
+
+    this.answerInput = document.createElement('input');
+    this.answerInput.type = 'text';
+    this.answerInput.autocomplete = 'off';
+    this.answerInput.spellcheck = false;
+    this.answerInput.style.fontSize = '20px';
+    this.answerInput.style.padding = '8px';
+    this.answerInput.style.width = '300px';
+    this.form.appendChild(this.answerInput);
+
+    const checkButton = document.createElement('button');
+    checkButton.type = 'submit';
+    checkButton.textContent = 'Check';
+    checkButton.style.padding = '10px 20px';
+    checkButton.style.marginLeft = '10px';
+    checkButton.style.fontSize = '16px';
+    checkButton.style.cursor = 'pointer';
+    checkButton.style.backgroundColor = 'blue';
+    checkButton.style.color = 'white';
+    checkButton.style.border = 'none';
+    checkButton.style.borderRadius = '5px';
+    this.form.appendChild(checkButton);
+
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.check();
+    });
+    container.appendChild(this.form);
+  }
+
+  override onActivate(context: SceneActivationContext<BoardData>) {
+    if (!context.data) return;
+    this.data = context.data;
+    this.order = shuffle(context.data.pairs);
+    this.current = 0;
+    this.correct = 0;
+    this.moves = 0;
+    this.mistakes = 0;
+    this.missed.clear();
+    this.startedAt = Date.now();
+
+    this.clear(false);
+    [this.statsLabel, this.definitionLabel, this.hintLabel, this.feedbackLabel].forEach(label => this.add(label));
+    this.form.style.display = 'block';
+    this.showWord();
+  }
+
+  override onDeactivate() {
+    this.form.style.display = 'none';
+  }
+
+  override onPreUpdate() {
+    if (!this.data) return;
+    this.statsLabel.text = `${this.data.level}   Word: ${Math.min(this.current + 1, this.order.length)}/${this.order.length}   Mistakes: ${this.mistakes}   Time: ${formatTime(Date.now() - this.startedAt)}`;
+  }
+
+  private showWord() {
+    const pair = this.order[this.current];
+    if (!pair) return;
+    this.tries = 0;
+    this.waiting = false;
+    this.definitionLabel.text = pair.definition;
+    this.hintLabel.text = `${pair.word.length} letters, starts with "${pair.word[0]}"`;
+    this.feedbackLabel.text = '';
+    this.answerInput.value = '';
+    this.answerInput.disabled = false;
+    this.answerInput.focus();
+  }
+
+  private check() {
+    const pair = this.order[this.current];
+    const typed = this.answerInput.value;
+    if (!pair || this.waiting || !typed.trim()) return;
+
+    this.moves++;
+    this.tries++;
+    if (isSameWord(typed, pair.word)) {
+      playBellSound();
+      this.correct++;
+      this.feedbackLabel.color = Color.fromHex('#7CFC9A');
+      this.feedbackLabel.text = `Correct! ${pair.example}`;
+      this.next();
+      return;
+    }
+
+    this.mistakes++;
+    this.missed.add(pair);
+    this.feedbackLabel.color = Color.fromHex('#FF8A8A');
+    if (this.tries < TRIES_PER_WORD) {
+      this.feedbackLabel.text = 'Not quite. Try again!';
+      this.answerInput.select();
+    } else {
+      this.feedbackLabel.text = `The word was "${pair.word}". ${pair.example}`;
+      this.next();
+    }
+  }
+
+  // Leaves the feedback up for a moment, then shows the next definition or the results
+  private next() {
+    this.waiting = true;
+    this.answerInput.disabled = true;
+    this.engine.clock.schedule(() => {
+      this.current++;
+      if (this.current < this.order.length) {
+        this.showWord();
+        return;
+      }
+      const data = this.data!;
+      const result: BoardResult = {
+        ...data,
+        matched: this.correct,
+        moves: this.moves,
+        mistakes: this.mistakes,
+        elapsedMs: Date.now() - this.startedAt,
+        missed: data.pairs.filter(pair => this.missed.has(pair)),
+      };
+      this.engine.goToScene('results', { sceneActivationData: result });
+    }, NEXT_WORD_DELAY_MS);
+  }
+}
@@ -0,0 +1,7 @@
+// Spoken praise for a correct answer
+export function playBellSound() {
+  if ('speechSynthesis' in window) {
+    const utterance = new SpeechSynthesisUtterance('excellent');
+    window.speechSynthesis.speak(utterance);
+  }
+}
@@ -0,0 +1,7 @@
+/// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  // Which local runtime serves /llm: 'ollama' (default) or 'openai' (any OpenAI-compatible server)
+  readonly VITE_LLM_PROVIDER?: string;
+  readonly VITE_LLM_MODEL?: string;
+}
@@ -0,0 +1,102 @@
+import type { CefrLevel } from './cefr';
+
+// A word with the definition players match it to and an example shown once it's matched
+// (teacher-supplied definitions may come without one, leaving it empty)
+export interface VocabPair {
+  word: string;
+  definition: string;
+  example: string;
+}
+
+export const GAME_MODES = {
+  classic: { name: 'Classic', description: 'Match every word to its definition at your own pace' },
+  timed: { name: 'Timed challenge', description: 'Match as many pairs as you can before the clock runs out' },
+  typing: { name: 'Type the word', description: 'Read the definition and type the word it describes' },
+} as const;
+
+export type GameMode = keyof typeof GAME_MODES;
+
+export const GAME_MODE_IDS = Object.keys(GAME_MODES) as GameMode[];
+
+export function isGameMode(value: string): value is GameMode {
+  return value in GAME_MODES;
+}
+
+// The scene that plays each mode
+export function sceneForMode(mode: GameMode): string {
+  return mode === 'typing' ? 'typing' : 'board';
+}
+
+// What the setup scene hands the board, and the board hands the results
+export interface BoardData {
+  pairs: VocabPair[];
+  level: CefrLevel;
+  mode: GameMode;
+}
+
+export interface BoardResult extends BoardData {
+  matched: number;
+  moves: number;
+  mistakes: number;
+  elapsedMs: number;
+  // Pairs the student got wrong at least once or never found, for the review screen
+  missed: VocabPair[];
+}
+
+// Time allowed in the timed challenge
+export function timeLimitMs(pairCount: number): number {
+  return pairCount * 10_000;
+}
+
+// 100 points a pair found, minus 10 for every mistake; a timed challenge finished early
+// earns 5 more for every second left on the clock
+export function scoreGame(result: BoardResult): number {
+  const base = Math.max(0, result.matched * 100 - result.mistakes * 10);
+  if (result.mode !== 'timed' || result.matched < result.pairs.length) return base;
+  const secondsLeft = Math.max(0, Math.floor((timeLimitMs(result.pairs.length) - result.elapsedMs) / 1000));
+  return base + secondsLeft * 5;
+}
+
+// One face of a board card: a pair's word or its definition
+export interface CardFace {
+  kind: 'word' | 'definition';
+  pairIndex: number;
+}
+
+/**
+ * The pairs a mismatch counts against, given the cards turned over on earlier moves. Turning
+ * over unseen cards is how the board is explored, so only a card that had been seen before and
+ * is mismatched again, or a first card whose partner was already seen, counts as a mistake.
+ */
+export function missedPairs(seen: ReadonlySet<string>, first: CardFace, second: CardFace): number[] {
+  const missed = new Set<number>();
+  const partner: CardFace = { kind: first.kind === 'word' ? 'definition' : 'word', pairIndex: first.pairIndex };
+  if (seen.has(cardKey(first)) || seen.has(cardKey(partner))) missed.add(first.pairIndex);
+  if (seen.has(cardKey(second))) missed.add(second.pairIndex);
+  return [...missed];
+}
+
+export function cardKey({ kind, pairIndex }: CardFace): string {
+  return `${kind}:${pairIndex}`;
+}
+
+export function formatTime(ms: number): string {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Typed answers are forgiving about case and stray spaces
+export function isSameWord(typed: string, word: string): boolean {
+  const normalise = (s: string) => s.trim().toLowerCase().replace(/\s+/g, ' ');
+  return normalise(typed) === normalise(word);
+}
+
+// Fisher-Yates, on a copy
+export function shuffle<T>(items: T[]): T[] {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j]!, shuffled[i]!];
+  }
+  return shuffled;
+}
@@ -0,0 +1,202 @@
+import { isCefrLevel, type CefrLevel } from './cefr';
+
+const STORAGE_KEY = 'vocab-word-lists';
+const SHARE_PREFIX = '#list=';
+
+// One line of a word list. A teacher-supplied definition is used as is instead of asking the model.
+export interface WordEntry {
+  word: string;
+  definition?: string;
+  example?: string;
+}
+
+export interface WordList {
+  name: string;
+  level: CefrLevel;
+  entries: WordEntry[];
+}
+
+/**
+ * Reads a typed or imported list. As `text` (the textarea, .txt and .tsv files) each line is a
+ * word on its own, `word<tab>definition<tab>example`, or `word: definition`; commas are left
+ * alone because definitions are full of them. As `csv` (.csv files) rows are split on commas,
+ * or semicolons, with quoted fields kept whole. Anki "Notes in Plain Text" exports work in both:
+ * their `#separator:` and other `#` header lines are honoured or skipped, and HTML in fields is
+ * reduced to text.
+ */
+export function parseWordList(text: string, format: 'text' | 'csv' = 'text'): WordEntry[] {
+  const lines = text.split(/\r?\n/);
+  let separator = detectSeparator(lines, format);
+  const entries: WordEntry[] = [];
+
+  for (const line of lines) {
+    if (line.startsWith('#')) {
+      const directive = /^#separator:(.+)$/i.exec(line.trim());
+      if (directive?.[1]) separator = ANKI_SEPARATORS[directive[1].toLowerCase()] ?? directive[1];
+      continue;
+    }
+    if (!line.trim()) continue;
+
+    const [word = '', definition = '', example = ''] = splitLine(line, separator).map(cleanField);
+    if (!word) continue;
+    if (entries.length === 0 && word.toLowerCase() === 'word' && /^definition$/i.test(definition)) continue;
+    entries.push({ word, ...(definition && { definition }), ...(example && { example }) });
+  }
+  return entries;
+}
+
+// The textarea format: one entry per line, tab-separated once it has a definition
+export function formatWordList(entries: WordEntry[]): string {
+  return entries
+    .map(({ word, definition = '', example = '' }) => [word, definition, example].join('\t').replace(/\t+$/, ''))
+    .join('\n');
+}
+
+export function toCsv(entries: WordEntry[]): string {
+  const quote = (field = '') => (/[",\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field);
+  const rows = entries.map(({ word, definition, example }) => [word, definition, example].map(quote).join(','));
+  return ['word,definition,example', ...rows].join('\n') + '\n';
+}
+
+export function getSavedLists(): WordList[] {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    const parsed: unknown = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed.filter(isWordList) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Saves `list`, replacing any saved list with the same name
+export function saveList(list: WordList): boolean {
+  const lists = getSavedLists().filter(l => l.name !== list.name);
+  lists.push(list);
+  lists.sort((a, b) => a.name.localeCompare(b.name));
+  return writeLists(lists);
+}
+
+export function deleteList(name: string): boolean {
+  return writeLists(getSavedLists().filter(l => l.name !== name));
+}
+
+// A link that opens the game with `list` filled in; everything travels in the URL fragment
+export function shareUrl(list: WordList, base: string): string {
+  const bytes = new TextEncoder().encode(JSON.stringify(list));
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+  const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `${base.split('#')[0]}${SHARE_PREFIX}${encoded}`;
+}
+
+// The list in a share link's fragment, or null if there isn't a (readable) one
+export function readShareHash(hash: string): WordList | null {
+  if (!hash.startsWith(SHARE_PREFIX)) return null;
+  try {
+    const encoded = hash.slice(SHARE_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(encoded), char => char.charCodeAt(0));
+    const parsed: unknown = JSON.parse(new TextDecoder().decode(bytes));
+    return isWordList(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+const ANKI_SEPARATORS: Record<string, string> = {
+  tab: '\t',
+  comma: ',',
+  semicolon: ';',
+  pipe: '|',
+  space: ' ',
+  colon: ':',
+};
+
+// Tabs win over commas, since definitions are full of commas. Typed text is split line by line.
+function detectSeparator(lines: string[], format: 'text' | 'csv'): string | null {
+  if (format === 'text') return null;
+  const body = lines.filter(line => line.trim() && !line.startsWith('#'));
+  if (body.some(line => line.includes('\t'))) return '\t';
+  if (body.some(line => line.includes(';')) && !body.some(line => line.includes(','))) return ';';
+  if (body.some(line => line.includes(','))) return ',';
+  return null;
+}
+
+// Without a separator a line is a word, tab-separated fields, or `word: definition`
+function splitLine(line: string, separator: string | null): string[] {
+  if (separator) return splitRow(line, separator);
+  if (line.includes('\t')) return splitRow(line, '\t');
+  const colon = line.indexOf(':');
+  return colon > 0 ? [line.slice(0, colon), line.slice(colon + 1)] : [line];
+}
+
+// Splits one row, keeping quoted fields ("a, b") whole and unescaping doubled quotes
+function splitRow(line: string, separator: string): string[] {
+  const fields: string[] = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field.trim()) {
+      quoted = true;
+      field = '';
+    } else if (char === separator) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// Anki fields can hold HTML; only the text is wanted
+function cleanField(field: string): string {
+  return field
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Saved and shared lists come from outside the game, so every field is checked before use
+function isWordList(value: unknown): value is WordList {
+  if (!value || typeof value !== 'object') return false;
+  const list = value as Record<string, unknown>;
+  return typeof list.name === 'string'
+    && typeof list.level === 'string' && isCefrLevel(list.level)
+    && Array.isArray(list.entries)
+    && list.entries.every(isWordEntry);
+}
+
+function isWordEntry(value: unknown): value is WordEntry {
+  if (!value || typeof value !== 'object') return false;
+  const entry = value as Record<string, unknown>;
+  const optionalString = (field: unknown) => field === undefined || typeof field === 'string';
+  return typeof entry.word === 'string' && entry.word.trim() !== ''
+    && optionalString(entry.definition)
+    && optionalString(entry.example);
+}
+
+function writeLists(lists: WordList[]): boolean {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(lists));
+    return true;
+  } catch (error) {
+    console.warn('Could not save word lists:', error);
+    return false;
+  }
+}
@@ -1,8 +1,39 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 
-export default defineConfig({
-  root: ".",
-  build: {
-    outDir: "dist",
-  },
+// Default addresses of the local LLM runtimes. Keep in sync with DEFAULT_ENDPOINTS in
+// server/llmProvider.js
+const DEFAULT_LLM_ENDPOINTS = {
+  ollama: "http://localhost:11434",
+  openai: "http://localhost:8080",
+} as const;
+
+type LlmProvider = keyof typeof DEFAULT_LLM_ENDPOINTS;
+
+function isLlmProvider(value: string): value is LlmProvider {
+  return Object.hasOwn(DEFAULT_LLM_ENDPOINTS, value);
+}
+
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), "");
+  const provider = env.VITE_LLM_PROVIDER && isLlmProvider(env.VITE_LLM_PROVIDER) ? env.VITE_LLM_PROVIDER : "ollama";
+  // The vocabulary game asks the local model for definitions at /llm, so the
+  // browser needs no CORS setup and the model never has to face the network.
+  // Only `vite dev` and `vite preview` serve this proxy; a static build always
+  // falls back to the offline dictionary.
+  const proxy = {
+    "/llm": {
+      target: env.LLM_ENDPOINT || DEFAULT_LLM_ENDPOINTS[provider],
+      changeOrigin: true,
+      rewrite: (path: string) => path.replace(/^\/llm/, ""),
+    },
+  };
+
+  return {
+    root: ".",
+    build: {
+      outDir: "dist",
+    },
+    server: { proxy },
+    preview: { proxy },
+  };
 });